@@ -1,3 +1,9 @@
+if (typeof importScripts === "function") {
+  importScripts("lib/scheduler.js", "lib/zip.js", "lib/ugoira.js", "lib/history.js", "lib/metadata.js", "lib/novel.js");
+}
+
+const { REQUEST_RETRY_AFTER_MAX_MS, delay, getBackoffDelay, createRequestScheduler } = globalThis.pixivScheduler;
+
 const browserApi = typeof browser !== "undefined" ? browser : chrome;
 const IS_CHROME = typeof browser === "undefined";
 const actionApi = (typeof browserApi !== "undefined" && browserApi)
@@ -5,6 +11,16 @@ const actionApi = (typeof browserApi !== "undefined" && browserApi)
   : null;
 
 const SUPPORTED_LANGUAGES = new Set(["en", "ja", "zh_CN"]);
+const UGOIRA_FORMATS = new Set(["zip", "gif", "apng", "webp"]);
+const METADATA_SIDECAR_MODES = new Set(["none", "json", "both"]);
+const ARCHIVE_FORMATS = new Set(["none", "zip", "cbz"]);
+const NOVEL_FORMATS = new Set(["txt", "html", "epub"]);
+const MAX_CONCURRENCY = 6;
+const MAX_SEARCH_LIMIT = 5000;
+const MAX_RANKING_LIMIT = 500;
+const SYNC_SOURCES = new Set(["following", "watchlist", "both"]);
+const SYNC_INTERVALS = new Set([0, 60, 180, 360, 720, 1440]);
+const MAX_SYNC_WATCHLIST = 200;
 const DEFAULT_LANGUAGE = "en";
 const DEFAULT_SETTINGS = {
   language: DEFAULT_LANGUAGE,
@@ -13,8 +29,22 @@ const DEFAULT_SETTINGS = {
   customRangeEnd: 1,
   antiTheft: true,
   overlay: true,
+  actionPopup: false,
   rootFolder: "Pixiv",
-  retryFailed: true
+  retryFailed: true,
+  ugoiraFormat: "zip",
+  filenameTemplate: "",
+  skipDownloaded: true,
+  metadataSidecar: "none",
+  embedMetadata: false,
+  concurrency: 2,
+  archiveFormat: "none",
+  novelFormat: "epub",
+  searchLimit: 200,
+  rankingLimit: 50,
+  syncSource: "following",
+  syncWatchlist: [],
+  syncInterval: 0
 };
 
 let currentSettings = { ...DEFAULT_SETTINGS };
@@ -25,7 +55,12 @@ const FALLBACK_MESSAGES = {
     const value = Array.isArray(illustId) ? illustId[0] : illustId;
     return `Pixiv Artwork ${value ?? ""}`.trim();
   },
+  fallbackNovelTitle: (novelId) => {
+    const value = Array.isArray(novelId) ? novelId[0] : novelId;
+    return `Pixiv Novel ${value ?? ""}`.trim();
+  },
   fallbackUnknownCreator: "Unknown Creator",
+  errorNoNovelText: "The novel text could not be found.",
   errorActiveTabMissing: "Could not find an active tab.",
   errorNoImagesForDownload: "No images were found to download.",
   errorNoDownloadableImages: "No downloadable images were found on this artwork.",
@@ -33,7 +68,19 @@ const FALLBACK_MESSAGES = {
     const value = Array.isArray(status) ? status[0] : status;
     return `Failed to fetch image (${value ?? "?"})`;
   },
-  errorUnknown: "Unknown error."
+  errorDownloadInterrupted: (reason) => {
+    const value = Array.isArray(reason) ? reason[0] : reason;
+    return `The download was interrupted (${value ?? "?"}).`;
+  },
+  errorUnknown: "Unknown error.",
+  errorDataFetchFailed: "Pixiv data could not be retrieved.",
+  errorJobMissing: "This download is no longer in the queue.",
+  contextMenuDownloadArtwork: "Download this artwork",
+  contextMenuDownloadLinkedArtwork: "Download linked artwork",
+  contextMenuDownloadLinkedUser: "Download all works by this user",
+  contextMenuPauseDownloads: "Pause all downloads",
+  contextMenuResumeDownloads: "Resume all downloads",
+  contextMenuCancelDownloads: "Cancel all downloads"
 };
 
 function normalizeLanguage(value) {
@@ -165,7 +212,7 @@ const WINDOWS_RESERVED_NAMES = new Set([
 const STORAGE_PRIMARY = browserApi?.storage?.sync || null;
 const STORAGE_FALLBACK = browserApi?.storage?.local || null;
 
-function storageGet(area) {
+function storageGet(area, keys = null) {
   if (!area) {
     return Promise.resolve({});
   }
@@ -173,7 +220,7 @@ function storageGet(area) {
   if (IS_CHROME) {
     return new Promise((resolve) => {
       try {
-        area.get(null, (result) => {
+        area.get(keys, (result) => {
           const err = chrome.runtime.lastError;
           if (err) {
             console.warn("storage.get failed", err);
@@ -189,7 +236,7 @@ function storageGet(area) {
     });
   }
 
-  return area.get(null).catch((err) => {
+  return area.get(keys).catch((err) => {
     console.warn("storage.get failed", err);
     return {};
   });
@@ -238,6 +285,28 @@ function sanitizeRootFolder(value) {
   return ensureSafePathSegment(candidate) || DEFAULT_SETTINGS.rootFolder;
 }
 
+function sanitizeFilenameTemplate(value) {
+  if (typeof value !== "string") {
+    return "";
+  }
+
+  return value
+    .normalize("NFKC")
+    .replace(/\\/g, "/")
+    .replace(/[\x00-\x1F]/g, "")
+    .trim()
+    .replace(/^\/+|\/+$/g, "")
+    .slice(0, 300);
+}
+
+function sanitizeWatchlist(value) {
+  const entries = Array.isArray(value) ? value : String(value || "").split(/[\s,]+/);
+  const ids = entries
+    .map((entry) => String(entry).trim().match(/^(?:.*\/users\/)?(\d+)\/?$/)?.[1])
+    .filter(Boolean);
+  return Array.from(new Set(ids)).slice(0, MAX_SYNC_WATCHLIST);
+}
+
 function sanitizeSettings(raw = {}) {
   const merged = { ...DEFAULT_SETTINGS };
 
@@ -252,8 +321,22 @@ function sanitizeSettings(raw = {}) {
 
   merged.antiTheft = raw.antiTheft !== false;
   merged.overlay = raw.overlay !== false;
+  merged.actionPopup = raw.actionPopup === true;
   merged.rootFolder = sanitizeRootFolder(raw.rootFolder);
   merged.retryFailed = raw.retryFailed !== false;
+  merged.ugoiraFormat = UGOIRA_FORMATS.has(raw.ugoiraFormat) ? raw.ugoiraFormat : DEFAULT_SETTINGS.ugoiraFormat;
+  merged.filenameTemplate = sanitizeFilenameTemplate(raw.filenameTemplate);
+  merged.skipDownloaded = raw.skipDownloaded !== false;
+  merged.metadataSidecar = METADATA_SIDECAR_MODES.has(raw.metadataSidecar) ? raw.metadataSidecar : DEFAULT_SETTINGS.metadataSidecar;
+  merged.embedMetadata = raw.embedMetadata === true;
+  merged.archiveFormat = ARCHIVE_FORMATS.has(raw.archiveFormat) ? raw.archiveFormat : DEFAULT_SETTINGS.archiveFormat;
+  merged.novelFormat = NOVEL_FORMATS.has(raw.novelFormat) ? raw.novelFormat : DEFAULT_SETTINGS.novelFormat;
+  merged.searchLimit = Math.round(clampNumber(raw.searchLimit, 1, MAX_SEARCH_LIMIT, DEFAULT_SETTINGS.searchLimit));
+  merged.rankingLimit = Math.round(clampNumber(raw.rankingLimit, 1, MAX_RANKING_LIMIT, DEFAULT_SETTINGS.rankingLimit));
+  merged.syncSource = SYNC_SOURCES.has(raw.syncSource) ? raw.syncSource : DEFAULT_SETTINGS.syncSource;
+  merged.syncWatchlist = sanitizeWatchlist(raw.syncWatchlist);
+  merged.syncInterval = SYNC_INTERVALS.has(Number(raw.syncInterval)) ? Number(raw.syncInterval) : DEFAULT_SETTINGS.syncInterval;
+  merged.concurrency = Math.round(clampNumber(raw.concurrency, 1, MAX_CONCURRENCY, DEFAULT_SETTINGS.concurrency));
 
   return merged;
 }
@@ -261,13 +344,14 @@ function sanitizeSettings(raw = {}) {
 let settingsReadyPromise = null;
 
 async function loadSettingsFromStorage() {
-  const syncValues = await storageGet(STORAGE_PRIMARY);
+  const settingKeys = Object.keys(DEFAULT_SETTINGS);
+  const syncValues = await storageGet(STORAGE_PRIMARY, settingKeys);
   const hasSyncValues = syncValues && Object.keys(syncValues).length > 0;
   if (hasSyncValues) {
     return sanitizeSettings(syncValues);
   }
 
-  const localValues = await storageGet(STORAGE_FALLBACK);
+  const localValues = await storageGet(STORAGE_FALLBACK, settingKeys);
   if (localValues && Object.keys(localValues).length > 0) {
     return sanitizeSettings(localValues);
   }
@@ -299,19 +383,7 @@ async function persistSettings(values) {
 
 async function broadcastSettings(settings) {
   try {
-    const queryParams = { url: "https://www.pixiv.net/*" };
-    const tabs = IS_CHROME
-      ? await new Promise((resolve, reject) => {
-          chrome.tabs.query(queryParams, (result) => {
-            const err = chrome.runtime.lastError;
-            if (err) {
-              reject(new Error(err.message));
-              return;
-            }
-            resolve(result || []);
-          });
-        })
-      : await browserApi.tabs.query(queryParams);
+    const tabs = await tabsQuery({ url: "https://www.pixiv.net/*" });
 
     await Promise.all(
       (tabs || [])
@@ -328,6 +400,8 @@ async function broadcastSettings(settings) {
 async function updateSettings(partial, options = {}) {
   const sanitized = sanitizeSettings({ ...currentSettings, ...partial });
   const languageChanged = sanitized.language !== currentSettings.language;
+  const previousSyncInterval = currentSettings.syncInterval;
+  const previousActionPopup = currentSettings.actionPopup;
   currentSettings = sanitized;
 
   if (languageChanged && sanitized.language && sanitized.language !== DEFAULT_LANGUAGE) {
@@ -342,11 +416,37 @@ async function updateSettings(partial, options = {}) {
       customRangeEnd: sanitized.customRangeEnd,
       antiTheft: sanitized.antiTheft,
       overlay: sanitized.overlay,
+      actionPopup: sanitized.actionPopup,
       rootFolder: sanitized.rootFolder,
-      retryFailed: sanitized.retryFailed
+      retryFailed: sanitized.retryFailed,
+      ugoiraFormat: sanitized.ugoiraFormat,
+      filenameTemplate: sanitized.filenameTemplate,
+      skipDownloaded: sanitized.skipDownloaded,
+      metadataSidecar: sanitized.metadataSidecar,
+      embedMetadata: sanitized.embedMetadata,
+      concurrency: sanitized.concurrency,
+      archiveFormat: sanitized.archiveFormat,
+      novelFormat: sanitized.novelFormat,
+      searchLimit: sanitized.searchLimit,
+      rankingLimit: sanitized.rankingLimit,
+      syncSource: sanitized.syncSource,
+      syncWatchlist: sanitized.syncWatchlist,
+      syncInterval: sanitized.syncInterval
     });
   }
 
+  if (previousSyncInterval !== sanitized.syncInterval) {
+    scheduleSyncAlarm(sanitized.syncInterval);
+  }
+
+  if (languageChanged) {
+    createContextMenus();
+  }
+
+  if (previousActionPopup !== sanitized.actionPopup) {
+    applyActionPopup(sanitized.actionPopup);
+  }
+
   if (options.broadcast !== false) {
     await broadcastSettings(sanitized);
   }
@@ -449,7 +549,233 @@ function ensureSafeFilename(name) {
   return ensureSafePathSegment(trimmed);
 }
 
-function buildDownloadPathCandidates(meta, image, index, downloadUrl) {
+const TEMPLATE_TOKEN_PATTERN = /\{([a-zA-Z0-9]+)(?::([^{}]*))?\}/g;
+
+function cleanTemplateValue(value) {
+  return (value ?? "")
+    .toString()
+    .normalize("NFKC")
+    .replace(/[<>:"/\\|?*\x00-\x1F]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 80);
+}
+
+function padTemplateNumber(value, spec) {
+  const width = /^\d+$/.test(spec || "") ? Math.min(6, Number(spec)) : 0;
+  return String(value).padStart(width, "0");
+}
+
+function formatTemplateDate(value, pattern) {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    return "";
+  }
+
+  const pad = (num) => String(num).padStart(2, "0");
+  const parts = {
+    YYYY: String(date.getUTCFullYear()),
+    MM: pad(date.getUTCMonth() + 1),
+    DD: pad(date.getUTCDate()),
+    HH: pad(date.getUTCHours()),
+    mm: pad(date.getUTCMinutes()),
+    ss: pad(date.getUTCSeconds())
+  };
+  return (pattern || "YYYY-MM-DD").replace(/YYYY|MM|DD|HH|mm|ss/g, (token) => parts[token]);
+}
+
+function getTemplateTokenValue(name, spec, context) {
+  const details = context.details || {};
+
+  switch (name.toLowerCase()) {
+    case "root":
+      return context.root;
+    case "id":
+      return context.illustId;
+    case "title":
+      return context.title;
+    case "author":
+      return context.author;
+    case "userid":
+      return details.userId || "";
+    case "page":
+      return typeof context.page === "number" ? padTemplateNumber(context.page, spec) : "";
+    case "date":
+      return formatTemplateDate(details.uploadDate, spec);
+    case "tags": {
+      const tags = Array.isArray(details.tags) ? details.tags : [];
+      const limit = Number.parseInt(spec, 10);
+      return (limit > 0 ? tags.slice(0, limit) : tags).join(" ");
+    }
+    case "bookmarks":
+      return details.bookmarkCount === undefined ? "" : String(details.bookmarkCount);
+    case "ai":
+      return Number(details.aiType) === 2 ? "AI" : "";
+    case "r18":
+      if (Number(details.xRestrict) === 2) return "R-18G";
+      return Number(details.xRestrict) === 1 ? "R-18" : "";
+    case "series":
+      return context.series?.title || "";
+    case "chapter": {
+      const chapter = context.series?.chapter ?? context.series?.order;
+      return chapter ? padTemplateNumber(chapter, spec) : "";
+    }
+    case "rank":
+      return context.ranking?.rank ? padTemplateNumber(context.ranking.rank, spec) : "";
+    case "antitheft":
+      return context.antiTheft ? "__pixiv-only" : "";
+    case "ext":
+      return context.extension;
+    default:
+      return null;
+  }
+}
+
+function renderFilenameTemplate(template, context) {
+  const segments = (template || "")
+    .split("/")
+    .map((segment) => segment.trim())
+    .filter(Boolean);
+
+  if (!segments.length) {
+    return null;
+  }
+
+  const extension = `.${context.extension}`;
+  const pageSuffix = context.pageCount > 1 && typeof context.page === "number" && !hasTemplateToken(template, ["page"])
+    ? `_p${padTemplateNumber(context.page, "2")}`
+    : "";
+  const rendered = [];
+  segments.forEach((segment, index) => {
+    let value = segment.replace(TEMPLATE_TOKEN_PATTERN, (match, name, spec) => {
+      const tokenValue = getTemplateTokenValue(name, spec, context);
+      return tokenValue === null ? match : cleanTemplateValue(tokenValue);
+    });
+
+    if (index < segments.length - 1) {
+      if (value.trim()) {
+        rendered.push(ensureSafePathSegment(value));
+      }
+      return;
+    }
+
+    if (value.toLowerCase().endsWith(extension)) {
+      value = value.slice(0, -extension.length);
+    }
+    rendered.push(ensureSafeFilename(truncateFilename(`${value}${pageSuffix}${extension}`, 120)));
+  });
+
+  const path = rendered.join("/");
+  return path.length <= 240 ? path : null;
+}
+
+function hasTemplateToken(template, names) {
+  return Array.from(template.matchAll(TEMPLATE_TOKEN_PATTERN)).some(([, name]) => names.includes(name.toLowerCase()));
+}
+
+function getTemplateContextFolder(meta, settings) {
+  const template = settings.filenameTemplate || "";
+  const safeRoot = ensureSafePathSegment(settings.rootFolder || "Pixiv");
+
+  const rankingFolders = getRankingFolders(meta);
+  if (rankingFolders && !hasTemplateToken(template, ["rank"])) {
+    return {
+      folder: `${safeRoot}/${rankingFolders.folder}`,
+      prefix: `${padTemplateNumber(meta.ranking.rank, "3")}_`
+    };
+  }
+
+  const seriesFolders = getSeriesFolders(meta);
+  if (seriesFolders && !hasTemplateToken(template, ["series", "chapter"])) {
+    return {
+      folder: `${safeRoot}/${sanitizeSegment(meta.author, "Pixiv")}/${seriesFolders.series}/${seriesFolders.chapter}`,
+      prefix: ""
+    };
+  }
+
+  return null;
+}
+
+function buildTemplatedPath(meta, image, extension, settings) {
+  if (!settings.filenameTemplate) {
+    return null;
+  }
+
+  const rendered = renderFilenameTemplate(settings.filenameTemplate, {
+    root: ensureSafePathSegment(settings.rootFolder || "Pixiv"),
+    illustId: meta.illustId || "pixiv",
+    title: meta.title,
+    author: meta.author,
+    details: meta.details,
+    series: meta.series || meta.details?.series || null,
+    ranking: meta.ranking || null,
+    page: image.page,
+    pageCount: Number(meta.details?.pageCount) || meta.images?.length || meta.pages?.length || 1,
+    antiTheft: settings.antiTheft !== false,
+    extension
+  });
+  const context = rendered && getTemplateContextFolder(meta, settings);
+  if (!context) {
+    return rendered;
+  }
+
+  const fileName = ensureSafeFilename(truncateFilename(`${context.prefix}${rendered.split("/").pop()}`, 120));
+  const path = `${context.folder}/${fileName}`;
+  return path.length <= 240 ? path : null;
+}
+
+function sanitizeSeriesContext(value) {
+  const id = String(value?.id ?? "");
+  if (!/^\d+$/.test(id)) {
+    return null;
+  }
+
+  return {
+    id,
+    title: typeof value.title === "string" ? value.title.slice(0, 200) : "",
+    chapter: Math.max(0, Math.floor(Number(value.chapter) || 0))
+  };
+}
+
+function getSeriesFolders(meta) {
+  const series = meta.series;
+  if (!series || !series.id) {
+    return null;
+  }
+
+  const safeIllustId = ensureSafePathSegment(meta.illustId || "pixiv");
+  const chapterLabel = padTemplateNumber(series.chapter || 0, "3");
+  return {
+    series: ensureSafePathSegment(`${series.id}-${sanitizeSegment(series.title, series.id)}`),
+    chapter: ensureSafePathSegment(`${chapterLabel}_${safeIllustId}-${sanitizeSegment(meta.title, meta.illustId)}`)
+  };
+}
+
+function sanitizeRankingContext(value) {
+  const mode = String(value?.mode ?? "");
+  const date = String(value?.date ?? "");
+  const rank = Math.floor(Number(value?.rank) || 0);
+  if (!/^[a-z0-9_-]{1,40}$/.test(mode) || !/^\d{4}-\d{2}-\d{2}$/.test(date) || rank < 1) {
+    return null;
+  }
+
+  return { mode, date, rank };
+}
+
+function getRankingFolders(meta) {
+  const ranking = meta.ranking;
+  if (!ranking || !ranking.mode) {
+    return null;
+  }
+
+  const safeIllustId = ensureSafePathSegment(meta.illustId || "pixiv");
+  return {
+    folder: ["Ranking", ranking.mode, ranking.date].map((part) => ensureSafePathSegment(part)).join("/"),
+    prefix: `${padTemplateNumber(ranking.rank, "3")}_${safeIllustId}`
+  };
+}
+
+function buildDownloadPathCandidates(meta, image, index, downloadUrl, settings = currentSettings) {
   const sourceUrl = downloadUrl || image.url;
   const extension = getExtensionFromUrl(sourceUrl);
   const pageLabel = typeof image.page === "number" ? `p${String(image.page).padStart(2, "0")}_` : "";
@@ -458,9 +784,9 @@ function buildDownloadPathCandidates(meta, image, index, downloadUrl) {
   const safeIllustId = ensureSafePathSegment(meta.illustId || "pixiv");
   const safeFolder = ensureSafePathSegment(`${safeIllustId}-${safeTitle}`);
   const simpleFolder = ensureSafePathSegment(`${safeIllustId}`);
-  const safeRoot = ensureSafePathSegment(currentSettings.rootFolder || "Pixiv");
+  const safeRoot = ensureSafePathSegment(settings.rootFolder || "Pixiv");
 
-  const antiTheftEnabled = currentSettings.antiTheft !== false;
+  const antiTheftEnabled = settings.antiTheft !== false;
   const antiTheftTag = antiTheftEnabled ? "__pixiv-only" : "";
   const baseName = ensureSafeFilename(
     truncateFilename(`${pageLabel}${safeIllustId}_by_${safeAuthor}${antiTheftTag}.${extension}`, 120)
@@ -475,6 +801,22 @@ function buildDownloadPathCandidates(meta, image, index, downloadUrl) {
   const fileNames = [baseName, labeledOriginal, backupName].filter(Boolean);
   const pathCandidates = new Set();
 
+  const templated = buildTemplatedPath(meta, image, extension, settings);
+  if (templated) {
+    pathCandidates.add(templated);
+  }
+
+  const rankingFolders = getRankingFolders(meta);
+  if (rankingFolders) {
+    const pageSuffix = typeof image.page === "number" ? `_p${image.page}` : "";
+    for (const name of [`${rankingFolders.prefix}${pageSuffix}-${safeTitle}.${extension}`, `${rankingFolders.prefix}${pageSuffix}.${extension}`]) {
+      const candidate = `${safeRoot}/${rankingFolders.folder}/${ensureSafeFilename(truncateFilename(name, 120))}`;
+      if (candidate.length <= 240) {
+        pathCandidates.add(candidate);
+      }
+    }
+  }
+
   const pathOptions = [
     [safeRoot, safeAuthor, safeFolder],
     [safeRoot, safeAuthor, simpleFolder],
@@ -482,6 +824,11 @@ function buildDownloadPathCandidates(meta, image, index, downloadUrl) {
     [safeRoot]
   ];
 
+  const seriesFolders = getSeriesFolders(meta);
+  if (seriesFolders) {
+    pathOptions.unshift([safeRoot, safeAuthor, seriesFolders.series, seriesFolders.chapter]);
+  }
+
   for (const parts of pathOptions) {
     const filtered = parts.filter(Boolean);
     if (!filtered.length) {
@@ -510,6 +857,78 @@ function buildDownloadPathCandidates(meta, image, index, downloadUrl) {
   return Array.from(pathCandidates);
 }
 
+function buildArchivePathCandidates(meta, image, extension, settings = currentSettings) {
+  const safeAuthor = sanitizeSegment(meta.author, "Pixiv");
+  const safeTitle = sanitizeSegment(meta.title, meta.illustId);
+  const safeIllustId = ensureSafePathSegment(meta.illustId || "pixiv");
+  const safeRoot = ensureSafePathSegment(settings.rootFolder || "Pixiv");
+  const archiveName = ensureSafeFilename(truncateFilename(`${safeIllustId}-${safeTitle}.${extension}`, 120));
+  const backupName = ensureSafeFilename(`${safeIllustId}.${extension}`);
+  const pathCandidates = new Set();
+
+  const templated = getTemplateContextFolder(meta, settings) ? null : buildTemplatedPath(meta, image, extension, settings);
+  if (templated) {
+    const folder = templated.includes("/") ? templated.slice(0, templated.lastIndexOf("/") + 1) : "";
+    pathCandidates.add(`${folder}${archiveName}`);
+  }
+
+  const rankingFolders = getRankingFolders(meta);
+  if (rankingFolders) {
+    const rankingPath = `${safeRoot}/${rankingFolders.folder}/${ensureSafeFilename(truncateFilename(`${rankingFolders.prefix}-${safeTitle}.${extension}`, 120))}`;
+    if (rankingPath.length <= 240) {
+      pathCandidates.add(rankingPath);
+    }
+  }
+
+  const seriesFolders = getSeriesFolders(meta);
+  if (seriesFolders) {
+    const seriesPath = `${safeRoot}/${safeAuthor}/${seriesFolders.series}/${ensureSafeFilename(truncateFilename(`${seriesFolders.chapter}.${extension}`, 120))}`;
+    if (seriesPath.length <= 240) {
+      pathCandidates.add(seriesPath);
+    }
+  }
+
+  for (const name of [archiveName, backupName]) {
+    for (const candidate of [`${safeRoot}/${safeAuthor}/${name}`, `${safeRoot}/${name}`, name]) {
+      if (candidate.length <= 240) {
+        pathCandidates.add(candidate);
+      }
+    }
+  }
+
+  return Array.from(pathCandidates);
+}
+
+const TEMPLATE_PREVIEW_SAMPLE = {
+  illustId: "123456789",
+  title: "Sample Artwork",
+  author: "Pixiv Artist",
+  details: {
+    userId: "11",
+    uploadDate: "2024-05-01T12:00:00+09:00",
+    tags: ["オリジナル", "landscape", "sky"],
+    series: { id: "42", title: "Sample Series", order: 3 },
+    bookmarkCount: 1234,
+    aiType: 1,
+    xRestrict: 0,
+    pageCount: 3
+  }
+};
+
+function buildTemplatePreview(overrides = {}) {
+  const settings = sanitizeSettings({ ...currentSettings, ...overrides });
+  const image = {
+    url: "https://i.pximg.net/img-original/img/2024/05/01/12/00/00/123456789_p0.png",
+    page: 0
+  };
+  const templated = buildTemplatedPath(TEMPLATE_PREVIEW_SAMPLE, image, getExtensionFromUrl(image.url), settings);
+  const [path] = buildDownloadPathCandidates(TEMPLATE_PREVIEW_SAMPLE, image, 0, image.url, settings);
+  return {
+    path,
+    rejected: Boolean(settings.filenameTemplate) && !templated
+  };
+}
+
 function extractFilenameFromUrl(url) {
   try {
     const parsed = new URL(url);
@@ -546,6 +965,89 @@ function tabsQueryActive() {
   });
 }
 
+function tabsQuery(queryInfo) {
+  if (!IS_CHROME) {
+    return browserApi.tabs.query(queryInfo);
+  }
+
+  return new Promise((resolve, reject) => {
+    chrome.tabs.query(queryInfo, (tabs) => {
+      const err = chrome.runtime.lastError;
+      if (err) {
+        reject(new Error(err.message));
+        return;
+      }
+      resolve(tabs || []);
+    });
+  });
+}
+
+function tabsCreate(createProperties) {
+  if (!IS_CHROME) {
+    return browserApi.tabs.create(createProperties);
+  }
+
+  return new Promise((resolve, reject) => {
+    chrome.tabs.create(createProperties, (tab) => {
+      const err = chrome.runtime.lastError;
+      if (err) {
+        reject(new Error(err.message));
+        return;
+      }
+      resolve(tab);
+    });
+  });
+}
+
+function tabsGet(tabId) {
+  if (!IS_CHROME) {
+    return browserApi.tabs.get(tabId);
+  }
+
+  return new Promise((resolve, reject) => {
+    chrome.tabs.get(tabId, (tab) => {
+      const err = chrome.runtime.lastError;
+      if (err) {
+        reject(new Error(err.message));
+        return;
+      }
+      resolve(tab);
+    });
+  });
+}
+
+function tabsRemove(tabId) {
+  if (!IS_CHROME) {
+    return browserApi.tabs.remove(tabId).catch(() => {});
+  }
+
+  return new Promise((resolve) => {
+    chrome.tabs.remove(tabId, () => {
+      void chrome.runtime.lastError;
+      resolve();
+    });
+  });
+}
+
+function waitForTabComplete(tabId, timeoutMs = 30000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      browserApi.tabs.onUpdated.removeListener(onUpdated);
+      reject(new Error("Timed out waiting for the Pixiv tab to load."));
+    }, timeoutMs);
+
+    function onUpdated(updatedTabId, changeInfo) {
+      if (updatedTabId === tabId && changeInfo.status === "complete") {
+        clearTimeout(timer);
+        browserApi.tabs.onUpdated.removeListener(onUpdated);
+        resolve();
+      }
+    }
+
+    browserApi.tabs.onUpdated.addListener(onUpdated);
+  });
+}
+
 function tabsSendMessage(tabId, message) {
   if (!IS_CHROME) {
     return browserApi.tabs.sendMessage(tabId, message);
@@ -563,11 +1065,13 @@ function tabsSendMessage(tabId, message) {
   });
 }
 
+const CONTENT_SCRIPT_FILES = ["lib/scheduler.js", "content/pixiv-scraper.js"];
+
 function executeContentScript(tabId) {
   if (browserApi?.scripting && typeof browserApi.scripting.executeScript === "function") {
     const params = {
       target: { tabId },
-      files: ["content/pixiv-scraper.js"]
+      files: CONTENT_SCRIPT_FILES
     };
 
     if (!IS_CHROME) {
@@ -587,9 +1091,9 @@ function executeContentScript(tabId) {
   }
 
   if (browserApi?.tabs?.executeScript) {
-    return new Promise((resolve, reject) => {
+    const injectFile = (file) => new Promise((resolve, reject) => {
       try {
-        browserApi.tabs.executeScript(tabId, { file: "content/pixiv-scraper.js" }, () => {
+        browserApi.tabs.executeScript(tabId, { file }, () => {
           const err = browserApi.runtime?.lastError || (typeof chrome !== "undefined" ? chrome.runtime?.lastError : undefined);
           if (err) {
             reject(new Error(err.message));
@@ -601,6 +1105,7 @@ function executeContentScript(tabId) {
         reject(err);
       }
     });
+    return CONTENT_SCRIPT_FILES.reduce((chain, file) => chain.then(() => injectFile(file)), Promise.resolve());
   }
 
   return Promise.resolve();
@@ -653,31 +1158,39 @@ function setBadgeColor(tabId, color) {
   }
 }
 
-async function requestImagesFromTab(tabId) {
+async function sendToContentScript(tabId, message) {
   try {
-    return await tabsSendMessage(tabId, { type: "PIXIV_COLLECT_IMAGES" });
+    return await tabsSendMessage(tabId, message);
   } catch (err) {
     if (/Could not establish connection/i.test(err.message) || /Receiving end does not exist/i.test(err.message)) {
       await executeContentScript(tabId);
-      return tabsSendMessage(tabId, { type: "PIXIV_COLLECT_IMAGES" });
+      return tabsSendMessage(tabId, message);
     }
     throw err;
   }
 }
 
+function requestImagesFromTab(tabId) {
+  return sendToContentScript(tabId, { type: "PIXIV_COLLECT_IMAGES" });
+}
+
 const ACCEPTABLE_CONTENT_TYPES = [/^image\//i, /application\/zip/i];
+const pixivRequests = createRequestScheduler();
 
-async function fetchImageData(url) {
-  const response = await fetch(url, {
+async function fetchImageData(url, signal) {
+  const response = await pixivRequests.schedule(url, () => fetch(url, {
     method: "GET",
     credentials: "include",
     cache: "no-store",
     mode: "cors",
-    referrer: "https://www.pixiv.net/"
-  });
+    referrer: "https://www.pixiv.net/",
+    signal
+  }), { signal });
 
   if (!response.ok) {
-    throw new Error(getMessage("errorDownloadImageFailed", String(response.status)));
+    const error = new Error(getMessage("errorDownloadImageFailed", String(response.status)));
+    error.status = response.status;
+    throw error;
   }
 
   const contentType = response.headers.get("content-type") || "";
@@ -686,9 +1199,8 @@ async function fetchImageData(url) {
     throw new Error(`Unexpected content type: ${contentType || "unknown"}`);
   }
 
-  const buffer = await response.arrayBuffer();
   return {
-    arrayBuffer: buffer,
+    response,
     contentType: contentType || "application/octet-stream",
     finalUrl: response.url || url
   };
@@ -712,6 +1224,11 @@ function applyRangeSelection(images, selection) {
     return [];
   }
 
+  if (selection?.mode === "pages") {
+    const pages = new Set(selection.pages || []);
+    return images.filter((image, index) => pages.has(index + 1));
+  }
+
   if (!selection || selection.mode !== "range") {
     return images.slice();
   }
@@ -728,7 +1245,7 @@ function getStoredRangeBounds(total) {
   return { start, end };
 }
 
-async function resolveSelectionForToolbar(tabId, meta) {
+async function resolveSelectionForToolbar(tabId, meta, options = {}) {
   const total = meta.images.length;
   if (total <= 1) {
     return { selection: { mode: "all" }, images: meta.images.slice() };
@@ -736,15 +1253,16 @@ async function resolveSelectionForToolbar(tabId, meta) {
 
   await ensureSettingsLoaded();
 
-  if (currentSettings.range === "prompt") {
+  if (options.forcePrompt || currentSettings.range === "prompt") {
     const defaults = getStoredRangeBounds(total);
-    const initialMode = defaults.start === 1 && defaults.end === total ? "all" : "range";
+    const initialMode = !options.forcePrompt && defaults.start === 1 && defaults.end === total ? "all" : "range";
 
     try {
       const response = await tabsSendMessage(tabId, {
         type: "PIXIV_PROMPT_SELECTION",
         payload: {
           total,
+          images: meta.images.map((image) => ({ url: image.url, fallbacks: image.fallbacks || [] })),
           defaults: { ...defaults, mode: initialMode }
         }
       });
@@ -764,6 +1282,18 @@ async function resolveSelectionForToolbar(tabId, meta) {
         };
       }
 
+      if (selection.mode === "pages") {
+        const pages = Array.from(new Set((selection.pages || []).map(Number)))
+          .filter((page) => Number.isInteger(page) && page >= 1 && page <= total)
+          .sort((a, b) => a - b);
+        if (pages.length) {
+          return {
+            selection: { mode: "pages", pages },
+            images: applyRangeSelection(meta.images, { mode: "pages", pages })
+          };
+        }
+      }
+
       return { selection: { mode: "all" }, images: meta.images.slice() };
     } catch (err) {
       console.warn("Prompt selection failed", err);
@@ -782,110 +1312,1120 @@ async function resolveSelectionForToolbar(tabId, meta) {
   return { selection: { mode: "all" }, images: meta.images.slice() };
 }
 
-async function triggerDownloads(meta) {
-  const errors = [];
-
-  if (meta?.selection && meta.selection.mode === "range") {
-    const start = Number(meta.selection.start) || 1;
-    const end = Number(meta.selection.end) || start;
-    updateSettings(
-      {
-        customRangeStart: start,
-        customRangeEnd: end
-      },
-      { persist: true, broadcast: true }
-    ).catch(() => {});
+function replacePathExtension(path, extension) {
+  if (!path || !extension) {
+    return path;
   }
+  return path.replace(/\.[a-z0-9]+$/i, `.${extension}`);
+}
 
-  for (let i = 0; i < meta.images.length; i += 1) {
-    const image = meta.images[i];
-    setBadgeText(meta.tabId, `${i + 1}/${meta.images.length}`);
-
-    const candidates = [image.url, ...(Array.isArray(image.fallbacks) ? image.fallbacks : [])];
-    const seen = new Set();
-    let downloaded = false;
-    let lastError = null;
-    const maxAttempts = currentSettings.retryFailed === false ? 1 : 4;
-
-    for (const candidate of candidates) {
-      if (!candidate || seen.has(candidate)) {
-        continue;
-      }
-      seen.add(candidate);
-
-      for (let attempt = 0; attempt < maxAttempts; attempt += 1) {
-        try {
-          const { arrayBuffer, contentType, finalUrl } = await fetchImageData(candidate);
-          const base64 = arrayBufferToBase64(arrayBuffer);
-          const dataUrl = `data:${contentType};base64,${base64}`;
-          const pathCandidates = buildDownloadPathCandidates(meta, image, i, finalUrl);
-
-          let savedWithPath = false;
-          let pathError = null;
-
-          for (const path of pathCandidates) {
-            try {
-              await downloadsDownload({
-                url: dataUrl,
-                filename: path,
-                conflictAction: "uniquify",
-                saveAs: false
-              });
-              savedWithPath = true;
-              break;
-            } catch (downloadErr) {
-              pathError = downloadErr;
-              const message = (downloadErr?.message || "").toLowerCase();
-              if (message.includes("invalid filename") || message.includes("path too long")) {
-                continue;
-              }
-              break;
-            }
-          }
-
-          if (savedWithPath) {
-            downloaded = true;
-            break;
-          }
+function resolvePagePaths(job, page, index, finalUrl, extension = getExtensionFromUrl(finalUrl || page.url)) {
+  const stored = Array.isArray(page.paths) ? page.paths.filter(Boolean) : [];
+  const paths = stored.length ? stored : buildDownloadPathCandidates(job, page, index, finalUrl);
+  return paths.map((path) => replacePathExtension(path, extension));
+}
 
-          lastError = pathError || lastError;
-          break;
-        } catch (err) {
-          lastError = err;
-          if (attempt < maxAttempts - 1) {
-            await new Promise((resolve) => setTimeout(resolve, 150 * (attempt + 1)));
-            continue;
-          }
-        }
-      }
+async function convertDownloadPayload(job, page, fetched) {
+  const extension = getExtensionFromUrl(fetched.finalUrl);
+  const format = job.ugoiraFormat || DEFAULT_SETTINGS.ugoiraFormat;
+  if (page.variant !== "ugoira" || format === "zip") {
+    return { response: fetched.response, contentType: fetched.contentType, extension };
+  }
 
-      if (downloaded) {
-        break;
-      }
-    }
+  const arrayBuffer = await fetched.response.arrayBuffer();
+  try {
+    return await convertUgoira(arrayBuffer, page.frames, format);
+  } catch (err) {
+    console.warn("Ugoira conversion failed, saving the original ZIP instead", job.illustId, err);
+    return { arrayBuffer, contentType: fetched.contentType, extension };
+  }
+}
 
-    if (!downloaded) {
-      const message = lastError?.message || getMessage("errorDownloadImageFailed", "?");
-      console.error("Failed to download", image.url, message, lastError);
-      errors.push({ url: image.url, error: message });
-    }
+async function prepareDownloadPayload(job, page, fetched) {
+  const payload = await convertDownloadPayload(job, page, fetched);
+  if (!job.embedMetadata) {
+    return payload;
   }
 
-  return errors;
+  const arrayBuffer = payload.arrayBuffer || await payload.response.arrayBuffer();
+  const { contentType, extension } = payload;
+  try {
+    return { arrayBuffer: embedArtworkMetadata(arrayBuffer, buildArtworkMetadata(job)), contentType, extension };
+  } catch (err) {
+    console.warn("Failed to embed metadata, saving the file unchanged", job.illustId, err);
+    return { arrayBuffer, contentType, extension };
+  }
 }
 
-function formatErrorMessage(message) {
-  if (!message) return getMessage("errorUnknown");
-  if (message.length < 120) return message;
-  return `${message.slice(0, 117)}...`;
-}
+const TRANSFER_CACHE_NAME = "pixiv-bulk-transfers";
+const TRANSFER_KEY_PREFIX = "https://transfer.pixiv-bulk.invalid/";
+const OFFSCREEN_DOCUMENT_PATH = "offscreen/offscreen.html";
 
-function finalizeBadge(tabId, totalCount, errorCount) {
-  if (!tabId) {
-    return;
+const pendingTransfers = new Map();
+const downloadWatchers = new Map();
+let offscreenCreating = null;
+let transferCleanupPromise = null;
+
+function runtimeSendMessage(message) {
+  if (!IS_CHROME) {
+    return browserApi.runtime.sendMessage(message);
   }
 
-  if (errorCount === 0) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      const err = chrome.runtime.lastError;
+      if (err) {
+        reject(new Error(err.message));
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
+
+function formatCrc32(value) {
+  return `crc32:${(value >>> 0).toString(16).padStart(8, "0")}`;
+}
+
+function createChecksumStream(stats) {
+  return new TransformStream({
+    transform(chunk, controller) {
+      stats.crc = crc32Update(stats.crc, chunk);
+      stats.size += chunk.length;
+      controller.enqueue(chunk);
+    }
+  });
+}
+
+async function ensureOffscreenDocument() {
+  if (!IS_CHROME || typeof chrome.offscreen?.createDocument !== "function") {
+    return false;
+  }
+
+  if (typeof chrome.runtime.getContexts === "function") {
+    const contexts = await chrome.runtime.getContexts({
+      contextTypes: ["OFFSCREEN_DOCUMENT"],
+      documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH)]
+    });
+    if (contexts.length) {
+      return true;
+    }
+  }
+
+  if (!offscreenCreating) {
+    offscreenCreating = chrome.offscreen
+      .createDocument({
+        url: OFFSCREEN_DOCUMENT_PATH,
+        reasons: ["BLOBS"],
+        justification: "Creates blob URLs so large Pixiv files can be saved without building data URLs."
+      })
+      .catch((err) => {
+        if (!/single offscreen document/i.test(err?.message || "")) {
+          throw err;
+        }
+      })
+      .finally(() => {
+        offscreenCreating = null;
+      });
+  }
+
+  await offscreenCreating;
+  return true;
+}
+
+function closeOffscreenDocumentIfIdle() {
+  if (pendingTransfers.size || queueProcessing || !IS_CHROME || typeof chrome.offscreen?.closeDocument !== "function") {
+    return;
+  }
+
+  try {
+    const result = chrome.offscreen.closeDocument();
+    if (result && typeof result.then === "function") {
+      result.catch(() => {});
+    }
+  } catch (err) {
+    console.warn("Failed to close the offscreen document", err);
+  }
+}
+
+async function createTransferObjectUrl(cache, key) {
+  if (typeof URL.createObjectURL === "function") {
+    const cached = await cache.match(key);
+    if (!cached) {
+      throw new Error("The staged download is missing.");
+    }
+    const url = URL.createObjectURL(await cached.blob());
+    return { url, revoke: () => URL.revokeObjectURL(url) };
+  }
+
+  if (!(await ensureOffscreenDocument())) {
+    return null;
+  }
+
+  const response = await runtimeSendMessage({ type: "PIXIV_TRANSFER_CREATE_URL", target: "offscreen", payload: { key } });
+  if (!response || !response.success) {
+    throw new Error(response?.error || "transfer-error");
+  }
+
+  return {
+    url: response.url,
+    revoke: () => {
+      runtimeSendMessage({ type: "PIXIV_TRANSFER_REVOKE_URL", target: "offscreen", payload: { url: response.url } }).catch(() => {});
+    }
+  };
+}
+
+async function stageDownload(payload) {
+  const stats = { crc: 0, size: 0 };
+  const source = payload.response?.body || new Response(payload.arrayBuffer).body;
+  const stream = source.pipeThrough(createChecksumStream(stats));
+
+  if (typeof caches === "undefined") {
+    const buffer = await new Response(stream).arrayBuffer();
+    return {
+      url: `data:${payload.contentType};base64,${arrayBufferToBase64(buffer)}`,
+      size: stats.size,
+      hash: formatCrc32(stats.crc),
+      release: () => {}
+    };
+  }
+
+  await clearStaleTransfers();
+  const key = `${TRANSFER_KEY_PREFIX}${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  const cache = await caches.open(TRANSFER_CACHE_NAME);
+  await cache.put(key, new Response(stream, { headers: { "content-type": payload.contentType } }));
+  const discard = () => {
+    cache.delete(key).catch(() => {});
+  };
+
+  try {
+    const objectUrl = await createTransferObjectUrl(cache, key);
+    if (objectUrl) {
+      return {
+        url: objectUrl.url,
+        size: stats.size,
+        hash: formatCrc32(stats.crc),
+        release: () => {
+          objectUrl.revoke();
+          discard();
+        }
+      };
+    }
+
+    const cached = await cache.match(key);
+    const buffer = await cached.arrayBuffer();
+    discard();
+    return {
+      url: `data:${payload.contentType};base64,${arrayBufferToBase64(buffer)}`,
+      size: stats.size,
+      hash: formatCrc32(stats.crc),
+      release: () => {}
+    };
+  } catch (err) {
+    discard();
+    throw err;
+  }
+}
+
+function downloadsRemoveFile(downloadId) {
+  if (!IS_CHROME) {
+    return browserApi.downloads.removeFile(downloadId);
+  }
+
+  return new Promise((resolve, reject) => {
+    chrome.downloads.removeFile(downloadId, () => {
+      const err = chrome.runtime.lastError;
+      if (err) {
+        reject(new Error(err.message));
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+function downloadsSearch(query) {
+  if (!IS_CHROME) {
+    return browserApi.downloads.search(query);
+  }
+
+  return new Promise((resolve, reject) => {
+    chrome.downloads.search(query, (items) => {
+      const err = chrome.runtime.lastError;
+      if (err) {
+        reject(new Error(err.message));
+        return;
+      }
+      resolve(items || []);
+    });
+  });
+}
+
+function settleTransfer(downloadId) {
+  const release = pendingTransfers.get(downloadId);
+  if (!release) {
+    return;
+  }
+
+  pendingTransfers.delete(downloadId);
+  release();
+  closeOffscreenDocumentIfIdle();
+}
+
+function settleDownload(downloadId, state, reason = null) {
+  settleTransfer(downloadId);
+  const resolve = downloadWatchers.get(downloadId);
+  if (!resolve) {
+    return;
+  }
+
+  downloadWatchers.delete(downloadId);
+  resolve({ state, reason });
+}
+
+async function waitForDownload(downloadId, transfer) {
+  if (typeof downloadId !== "number") {
+    transfer.release();
+    return;
+  }
+
+  pendingTransfers.set(downloadId, transfer.release);
+  const outcome = new Promise((resolve) => downloadWatchers.set(downloadId, resolve));
+  try {
+    const [item] = await downloadsSearch({ id: downloadId });
+    if (!item) {
+      settleDownload(downloadId, "complete");
+    } else if (item.state !== "in_progress") {
+      settleDownload(downloadId, item.state, item.error);
+    }
+  } catch (err) {
+    console.warn("Failed to look up download state", downloadId, err);
+  }
+
+  const { state, reason } = await outcome;
+  if (state === "interrupted") {
+    const error = new Error(getMessage("errorDownloadInterrupted", reason || "?"));
+    error.interruptReason = reason || "UNKNOWN";
+    throw error;
+  }
+}
+
+function clearStaleTransfers() {
+  if (!transferCleanupPromise) {
+    transferCleanupPromise = typeof caches === "undefined"
+      ? Promise.resolve()
+      : caches.delete(TRANSFER_CACHE_NAME).then(() => undefined, () => undefined);
+  }
+  return transferCleanupPromise;
+}
+
+function getHistoryId(job) {
+  return job.novel ? `novel-${job.illustId}` : job.illustId;
+}
+
+async function isPageInHistory(job, page) {
+  try {
+    return Boolean(await getHistoryEntry(getHistoryId(job), page.page, page.variant));
+  } catch (err) {
+    console.warn("Download history lookup failed", job.illustId, err);
+    return false;
+  }
+}
+
+async function recordPageInHistory(job, page, details) {
+  try {
+    await recordHistoryEntry({
+      illustId: getHistoryId(job),
+      page: page.page,
+      variant: page.variant,
+      title: job.title,
+      author: job.author,
+      path: details.path,
+      size: details.size,
+      hash: details.hash,
+      contentType: details.contentType,
+      downloadId: details.downloadId ?? null
+    });
+  } catch (err) {
+    console.warn("Failed to record download history", job.illustId, err);
+  }
+}
+
+const ILLUST_TYPE_NAMES = ["illust", "manga", "ugoira"];
+const RATING_NAMES = ["all-ages", "R-18", "R-18G"];
+
+function buildArtworkMetadata(job) {
+  const details = job.details || {};
+  const tags = Array.isArray(details.tags) ? details.tags : [];
+  const translations = details.tagTranslations || {};
+
+  return {
+    id: String(job.illustId),
+    url: job.novel ? `https://www.pixiv.net/novel/show.php?id=${job.illustId}` : `https://www.pixiv.net/artworks/${job.illustId}`,
+    title: job.title || "",
+    author: {
+      id: details.userId || null,
+      name: job.author || "",
+      url: details.userId ? `https://www.pixiv.net/users/${details.userId}` : null
+    },
+    caption: details.caption || "",
+    tags: tags.map((name) => ({ name, translation: translations[name] || null })),
+    type: job.novel ? "novel" : ILLUST_TYPE_NAMES[Number(details.illustType)] || "illust",
+    createDate: details.createDate || null,
+    uploadDate: details.uploadDate || null,
+    series: details.series || null,
+    ranking: job.ranking || null,
+    rating: RATING_NAMES[Number(details.xRestrict)] || RATING_NAMES[0],
+    aiGenerated: Number(details.aiType) === 2,
+    original: Boolean(details.isOriginal),
+    width: details.width || null,
+    height: details.height || null,
+    pageCount: details.pageCount || job.pages.length,
+    bookmarkCount: details.bookmarkCount ?? null,
+    likeCount: details.likeCount ?? null,
+    viewCount: details.viewCount ?? null,
+    pages: job.pages
+      .filter((page) => page.savedPath)
+      .map((page) => ({
+        page: page.page ?? 0,
+        url: page.url,
+        file: page.archiveEntry || page.savedPath.split("/").pop()
+      })),
+    savedAt: new Date().toISOString()
+  };
+}
+
+function formatArtworkMetadataText(metadata) {
+  const lines = [
+    `Title: ${metadata.title}`,
+    `Artist: ${metadata.author.name}${metadata.author.id ? ` (${metadata.author.id})` : ""}`,
+    `URL: ${metadata.url}`
+  ];
+
+  if (metadata.author.url) lines.push(`Artist URL: ${metadata.author.url}`);
+  if (metadata.uploadDate) lines.push(`Date: ${metadata.uploadDate}`);
+  if (metadata.series) {
+    lines.push(`Series: ${metadata.series.title}${metadata.series.order ? ` #${metadata.series.order}` : ""}`);
+  }
+  if (metadata.ranking) {
+    lines.push(`Ranking: #${metadata.ranking.rank} ${metadata.ranking.mode} ${metadata.ranking.date}`);
+  }
+
+  const tags = metadata.tags.map((tag) => (tag.translation ? `${tag.name} (${tag.translation})` : tag.name));
+  lines.push(`Tags: ${tags.join(", ")}`);
+  lines.push(`Rating: ${metadata.rating}`);
+  lines.push(`AI-generated: ${metadata.aiGenerated ? "yes" : "no"}`);
+  lines.push(`Pages: ${metadata.pageCount}`);
+  if (metadata.bookmarkCount !== null) lines.push(`Bookmarks: ${metadata.bookmarkCount}`);
+
+  if (metadata.caption) {
+    lines.push("", metadata.caption);
+  }
+
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+function textToDataUrl(text, contentType) {
+  const bytes = new TextEncoder().encode(text);
+  return `data:${contentType};base64,${arrayBufferToBase64(bytes.buffer)}`;
+}
+
+async function saveMetadataSidecars(job) {
+  const mode = job.metadataSidecar || DEFAULT_SETTINGS.metadataSidecar;
+  const firstSaved = job.pages.find((page) => page.savedPath);
+  if (mode === "none" || !firstSaved) {
+    return;
+  }
+
+  const folder = firstSaved.savedPath.includes("/")
+    ? firstSaved.savedPath.slice(0, firstSaved.savedPath.lastIndexOf("/") + 1)
+    : "";
+  const baseName = ensureSafePathSegment(String(job.illustId));
+  const metadata = buildArtworkMetadata(job);
+  const files = [
+    { name: `${baseName}.json`, url: textToDataUrl(`${JSON.stringify(metadata, null, 2)}\n`, "application/json") }
+  ];
+  if (mode === "both") {
+    files.push({ name: `${baseName}.txt`, url: textToDataUrl(formatArtworkMetadataText(metadata), "text/plain") });
+  }
+
+  for (const file of files) {
+    try {
+      await downloadsDownload({
+        url: file.url,
+        filename: `${folder}${file.name}`,
+        conflictAction: "overwrite",
+        saveAs: false
+      });
+    } catch (err) {
+      console.warn("Failed to save metadata sidecar", job.illustId, file.name, err);
+    }
+  }
+}
+
+async function downloadToFirstPath(url, pathCandidates) {
+  let pathError = null;
+
+  for (const path of pathCandidates) {
+    try {
+      const downloadId = await downloadsDownload({
+        url,
+        filename: path,
+        conflictAction: "uniquify",
+        saveAs: false
+      });
+      return { downloadId, path };
+    } catch (downloadErr) {
+      pathError = downloadErr;
+      const message = (downloadErr?.message || "").toLowerCase();
+      if (message.includes("invalid filename") || message.includes("path too long")) {
+        continue;
+      }
+      break;
+    }
+  }
+
+  throw pathError || new Error(getMessage("errorDownloadImageFailed", "?"));
+}
+
+async function savePageToDisk(job, page, index, fetched, payload) {
+  const transfer = await stageDownload(payload);
+  let saved;
+  try {
+    saved = await downloadToFirstPath(transfer.url, resolvePagePaths(job, page, index, fetched.finalUrl, payload.extension));
+  } catch (err) {
+    transfer.release();
+    return err;
+  }
+
+  try {
+    await waitForDownload(saved.downloadId, transfer);
+  } catch (err) {
+    return err;
+  }
+
+  page.savedPath = saved.path;
+  await recordPageInHistory(job, page, {
+    path: saved.path,
+    size: transfer.size,
+    hash: transfer.hash,
+    contentType: payload.contentType,
+    downloadId: saved.downloadId
+  });
+  return null;
+}
+
+function getJobArchiveFormat(job) {
+  const format = job.archiveFormat || DEFAULT_SETTINGS.archiveFormat;
+  return format !== "none" && job.pages.length > 1 ? format : null;
+}
+
+async function collectArchiveEntry(entries, job, page, index, fetched, payload) {
+  const buffer = payload.arrayBuffer || await payload.response.arrayBuffer();
+  const [path] = resolvePagePaths(job, page, index, fetched.finalUrl, payload.extension);
+  entries[index] = {
+    page,
+    name: path.split("/").pop(),
+    data: new Uint8Array(buffer)
+  };
+  return null;
+}
+
+async function saveArchive(job, format, entries, errors) {
+  if (!entries.length) {
+    return;
+  }
+
+  const usedNames = new Set();
+  const files = entries.map((entry, position) => {
+    let name = entry.name;
+    if (usedNames.has(name.toLowerCase())) {
+      name = `${String(position + 1).padStart(3, "0")}_${name}`;
+    }
+    usedNames.add(name.toLowerCase());
+    entry.name = name;
+    return { name, data: entry.data };
+  });
+
+  if (format === "cbz") {
+    const comicInfo = buildComicInfoXml(buildArtworkMetadata(job), entries.map((entry) => ({ size: entry.data.length })));
+    files.push({ name: "ComicInfo.xml", data: utf8Bytes(comicInfo) });
+  }
+
+  const contentType = format === "cbz" ? "application/vnd.comicbook+zip" : "application/zip";
+  let transfer = null;
+  try {
+    transfer = await stageDownload({ arrayBuffer: createZipArchive(files), contentType });
+    if (typeof job.archiveDownloadId === "number") {
+      await downloadsRemoveFile(job.archiveDownloadId).catch((err) => {
+        console.warn("Failed to remove the previous archive", job.illustId, err);
+      });
+      job.archiveDownloadId = null;
+    }
+    const saved = await downloadToFirstPath(transfer.url, buildArchivePathCandidates(job, entries[0].page, format));
+    await waitForDownload(saved.downloadId, transfer);
+    job.archiveDownloadId = saved.downloadId;
+
+    for (const entry of entries) {
+      entry.page.savedPath = saved.path;
+      entry.page.archiveEntry = entry.name;
+      await recordPageInHistory(job, entry.page, {
+        path: `${saved.path}/${entry.name}`,
+        size: entry.data.length,
+        hash: formatCrc32(crc32(entry.data)),
+        contentType,
+        downloadId: saved.downloadId
+      });
+    }
+  } catch (err) {
+    transfer?.release();
+    const message = err?.message || getMessage("errorDownloadImageFailed", "?");
+    console.error("Failed to save archive", job.illustId, message, err);
+    for (const entry of entries) {
+      entry.page.state = "failed";
+      entry.page.error = message;
+      errors.push({ page: entry.page.page, url: entry.page.url, error: message });
+    }
+  }
+
+  job.updatedAt = Date.now();
+  await saveQueue();
+}
+
+async function downloadPage(job, page, index, savePayload = savePageToDisk, signal = null) {
+  const candidates = [page.url, ...(Array.isArray(page.fallbacks) ? page.fallbacks : [])];
+  const seen = new Set();
+  const attempts = [];
+  let lastError = null;
+  const maxAttempts = currentSettings.retryFailed === false ? 1 : 4;
+
+  for (const candidate of candidates) {
+    if (!candidate || seen.has(candidate)) {
+      continue;
+    }
+    seen.add(candidate);
+
+    for (let attempt = 0; attempt < maxAttempts; attempt += 1) {
+      try {
+        const fetched = await fetchImageData(candidate, signal);
+        const payload = await prepareDownloadPayload(job, page, fetched);
+        const saveError = await savePayload(job, page, index, fetched, payload);
+        if (!saveError) {
+          return null;
+        }
+        lastError = saveError;
+        break;
+      } catch (err) {
+        if (signal?.aborted) {
+          return err;
+        }
+        lastError = err;
+        if (err.status) {
+          break;
+        }
+        if (attempt < maxAttempts - 1) {
+          await delay(getBackoffDelay(attempt), signal).catch(() => {});
+          continue;
+        }
+      }
+    }
+
+    attempts.push({ url: candidate, error: lastError?.message || getMessage("errorUnknown") });
+    if (lastError?.interruptReason) {
+      break;
+    }
+  }
+
+  const failure = lastError || new Error(getMessage("errorDownloadImageFailed", "?"));
+  failure.attempts = attempts;
+  return failure;
+}
+
+function isPageFinished(page) {
+  return page.state === "done" || page.state === "skipped";
+}
+
+function buildNovelDocument(job) {
+  const details = job.details || {};
+  const series = job.series || (details.series ? { title: details.series.title, chapter: details.series.order } : null);
+  return {
+    id: String(job.illustId),
+    title: job.title || "",
+    author: job.author || "",
+    url: `https://www.pixiv.net/novel/show.php?id=${job.illustId}`,
+    caption: details.caption || "",
+    tags: Array.isArray(details.tags) ? details.tags : [],
+    series,
+    language: job.novel.language || "ja",
+    date: details.uploadDate || details.createDate || "",
+    embeds: job.novel.embeds || {}
+  };
+}
+
+async function fetchNovelImages(job) {
+  const images = new Map();
+  const sources = [];
+  if (job.novel.coverUrl) {
+    sources.push(["cover", job.novel.coverUrl]);
+  }
+  for (const key of getNovelImageKeys(job.novel.content)) {
+    if (job.novel.embeds?.[key]) {
+      sources.push([key, job.novel.embeds[key]]);
+    }
+  }
+
+  for (const [key, url] of sources) {
+    try {
+      const fetched = await fetchImageData(url);
+      images.set(key, {
+        data: new Uint8Array(await fetched.response.arrayBuffer()),
+        contentType: fetched.contentType,
+        extension: getExtensionFromUrl(fetched.finalUrl)
+      });
+    } catch (err) {
+      console.warn("Failed to fetch novel image", job.illustId, url, err);
+    }
+  }
+  return images;
+}
+
+async function buildNovelFile(job) {
+  const novel = buildNovelDocument(job);
+  const pages = parseNovelMarkup(job.novel.content);
+  const format = job.novelFormat || DEFAULT_SETTINGS.novelFormat;
+
+  if (format === "txt") {
+    return { data: utf8Bytes(formatNovelText(novel, pages)), contentType: "text/plain", extension: "txt" };
+  }
+
+  const images = await fetchNovelImages(job);
+  if (format === "html") {
+    const sources = {};
+    for (const [key, image] of images) {
+      sources[key] = `data:${image.contentType};base64,${arrayBufferToBase64(image.data)}`;
+    }
+    return { data: utf8Bytes(buildNovelHtml(novel, pages, sources)), contentType: "text/html", extension: "html" };
+  }
+
+  return { data: buildNovelEpub(novel, pages, images), contentType: EPUB_MIMETYPE, extension: "epub" };
+}
+
+async function saveNovelJob(job) {
+  const errors = [];
+  const page = job.pages[0];
+  if (isPageFinished(page)) {
+    return errors;
+  }
+
+  setBadgeText(job.tabId, "0/1");
+  if (job.skipDownloaded && await isPageInHistory(job, page)) {
+    page.state = "skipped";
+    page.error = null;
+  } else {
+    let transfer = null;
+    try {
+      const file = await buildNovelFile(job);
+      transfer = await stageDownload({ arrayBuffer: file.data, contentType: file.contentType });
+      const saved = await downloadToFirstPath(transfer.url, buildArchivePathCandidates(job, page, file.extension));
+      await waitForDownload(saved.downloadId, transfer);
+      page.savedPath = saved.path;
+      page.state = "done";
+      page.error = null;
+      await recordPageInHistory(job, page, {
+        path: saved.path,
+        size: transfer.size,
+        hash: transfer.hash,
+        contentType: file.contentType,
+        downloadId: saved.downloadId
+      });
+    } catch (err) {
+      transfer?.release();
+      const message = err?.message || getMessage("errorDownloadImageFailed", "?");
+      console.error("Failed to save novel", job.illustId, message, err);
+      page.state = "failed";
+      page.error = message;
+      errors.push({ url: page.url, error: message });
+    }
+  }
+
+  setBadgeText(job.tabId, "1/1");
+  job.updatedAt = Date.now();
+  await saveQueue();
+  await saveMetadataSidecars(job);
+  return errors;
+}
+
+async function triggerDownloads(job) {
+  if (job.novel) {
+    return saveNovelJob(job);
+  }
+
+  const errors = [];
+  const total = job.pages.length;
+  const concurrency = clampNumber(job.concurrency, 1, MAX_CONCURRENCY, currentSettings.concurrency);
+  const archiveFormat = getJobArchiveFormat(job);
+  const archiveEntries = [];
+  const savePayload = archiveFormat
+    ? (...args) => collectArchiveEntry(archiveEntries, ...args)
+    : savePageToDisk;
+
+  if (archiveFormat) {
+    for (const page of job.pages) {
+      if (page.state === "done" && !page.savedPath) {
+        page.state = "pending";
+      }
+    }
+  }
+  const archiveInHistory = Boolean(archiveFormat && job.skipDownloaded)
+    && (await Promise.all(job.pages.map((page) => isPageInHistory(job, page)))).every(Boolean);
+  let completed = job.pages.filter(isPageFinished).length;
+  let nextIndex = 0;
+  const controller = new AbortController();
+  jobAbortControllers.set(job.id, controller);
+
+  setBadgeText(job.tabId, `${completed}/${total}`);
+
+  async function runWorker() {
+    while (nextIndex < total && !job.stopRequested) {
+      const index = nextIndex;
+      nextIndex += 1;
+      const page = job.pages[index];
+      if (isPageFinished(page)) {
+        continue;
+      }
+
+      page.state = "running";
+      broadcastJobProgress(job);
+
+      if (archiveFormat ? archiveInHistory : job.skipDownloaded && await isPageInHistory(job, page)) {
+        page.state = "skipped";
+        page.error = null;
+      } else {
+        const error = await downloadPage(job, page, index, savePayload, controller.signal);
+        if (error && controller.signal.aborted) {
+          page.state = "pending";
+          page.error = null;
+          break;
+        } else if (error) {
+          const message = error.message || getMessage("errorDownloadImageFailed", "?");
+          console.error("Failed to download", page.url, message, error);
+          page.state = "failed";
+          page.error = message;
+          page.attempts = error.attempts || [];
+          errors.push({ page: page.page, url: page.url, error: message, attempts: page.attempts });
+        } else {
+          page.state = "done";
+          page.error = null;
+          page.attempts = null;
+        }
+      }
+
+      completed += 1;
+      setBadgeText(job.tabId, `${completed}/${total}`);
+      job.updatedAt = Date.now();
+      broadcastJobProgress(job);
+      scheduleQueueSave();
+    }
+  }
+
+  try {
+    await Promise.all(Array.from({ length: Math.min(concurrency, total) }, () => runWorker()));
+  } finally {
+    jobAbortControllers.delete(job.id);
+  }
+
+  if (isJobInterrupted(job)) {
+    return errors;
+  }
+
+  if (archiveFormat) {
+    await saveArchive(job, archiveFormat, archiveEntries.filter(Boolean), errors);
+  }
+
+  await saveMetadataSidecars(job);
+  return errors;
+}
+
+const QUEUE_STORAGE_KEY = "downloadQueue";
+const QUEUE_FINISHED_LIMIT = 50;
+const QUEUE_SAVE_DELAY_MS = 2000;
+
+let downloadQueue = [];
+let queueReadyPromise = null;
+let queueProcessing = false;
+let queueSavePromise = Promise.resolve();
+let queueSaveScheduled = null;
+let queueSaveTimer = null;
+
+const STOPPED_JOB_STATES = { pause: "paused", cancel: "cancelled" };
+const JOB_ACTION_STATES = {
+  pause: ["pending", "running"],
+  resume: ["paused"],
+  cancel: ["pending", "running", "paused"],
+  retry: ["failed", "cancelled"]
+};
+const jobAbortControllers = new Map();
+
+function isValidJob(job) {
+  return Boolean(job && typeof job === "object" && job.id && Array.isArray(job.pages));
+}
+
+function isJobInterrupted(job) {
+  return (Boolean(STOPPED_JOB_STATES[job.stopRequested]) || job.state !== "running") && job.pages.some((page) => page.state === "pending");
+}
+
+function restoreInterruptedJob(job) {
+  if (job.state !== "running") {
+    return job;
+  }
+
+  return {
+    ...job,
+    state: STOPPED_JOB_STATES[job.stopRequested] || "pending",
+    stopRequested: null,
+    pages: job.pages.map((page) => (page.state === "running" ? { ...page, state: "pending" } : page))
+  };
+}
+
+async function ensureQueueLoaded() {
+  if (!queueReadyPromise) {
+    queueReadyPromise = (async () => {
+      const stored = await storageGet(STORAGE_FALLBACK, [QUEUE_STORAGE_KEY]);
+      const jobs = Array.isArray(stored[QUEUE_STORAGE_KEY]) ? stored[QUEUE_STORAGE_KEY] : [];
+      downloadQueue = jobs.filter(isValidJob).map(restoreInterruptedJob);
+      return downloadQueue;
+    })();
+  }
+  return queueReadyPromise;
+}
+
+function scheduleQueueSave() {
+  if (!queueSaveTimer) {
+    queueSaveTimer = setTimeout(() => {
+      saveQueue().catch((err) => {
+        console.warn("Failed to save download queue", err);
+      });
+    }, QUEUE_SAVE_DELAY_MS);
+  }
+}
+
+function saveQueue() {
+  if (queueSaveTimer) {
+    clearTimeout(queueSaveTimer);
+    queueSaveTimer = null;
+  }
+  if (!queueSaveScheduled) {
+    queueSaveScheduled = queueSavePromise.then(() => {
+      queueSaveScheduled = null;
+      return storageSet(STORAGE_FALLBACK, { [QUEUE_STORAGE_KEY]: downloadQueue });
+    });
+    queueSavePromise = queueSaveScheduled;
+  }
+  return queueSaveScheduled;
+}
+
+function pruneQueue() {
+  const finished = downloadQueue
+    .filter((job) => job.state === "done" || job.state === "failed" || job.state === "cancelled")
+    .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+  const expired = new Set(finished.slice(QUEUE_FINISHED_LIMIT));
+  if (expired.size) {
+    downloadQueue = downloadQueue.filter((job) => !expired.has(job));
+  }
+}
+
+function createDownloadJob(meta) {
+  const now = Date.now();
+  return {
+    id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    tabId: meta.tabId || null,
+    illustId: meta.illustId,
+    title: meta.title,
+    author: meta.author,
+    details: meta.details || {},
+    selection: meta.selection || { mode: "all" },
+    ugoiraFormat: currentSettings.ugoiraFormat,
+    skipDownloaded: !meta.ranking && currentSettings.skipDownloaded !== false,
+    metadataSidecar: currentSettings.metadataSidecar,
+    series: meta.series || null,
+    ranking: meta.ranking || null,
+    embedMetadata: currentSettings.embedMetadata === true,
+    concurrency: currentSettings.concurrency,
+    archiveFormat: currentSettings.archiveFormat,
+    ...(meta.novel ? { novel: meta.novel, novelFormat: currentSettings.novelFormat } : {}),
+    state: "pending",
+    createdAt: now,
+    updatedAt: now,
+    errors: [],
+    pages: meta.images.map((image, index) => ({
+      url: image.url,
+      page: image.page,
+      variant: image.variant,
+      fallbacks: Array.isArray(image.fallbacks) ? image.fallbacks : [],
+      paths: buildDownloadPathCandidates(meta, image, index),
+      ...(Array.isArray(image.frames) ? { frames: image.frames } : {}),
+      state: "pending",
+      error: null
+    }))
+  };
+}
+
+async function enqueueDownload(meta) {
+  await ensureSettingsLoaded();
+  await ensureQueueLoaded();
+
+  if (meta?.selection && meta.selection.mode === "range") {
+    const start = Number(meta.selection.start) || 1;
+    const end = Number(meta.selection.end) || start;
+    updateSettings(
+      {
+        customRangeStart: start,
+        customRangeEnd: end
+      },
+      { persist: true, broadcast: true }
+    ).catch(() => {});
+  }
+
+  const job = createDownloadJob(meta);
+  downloadQueue.push(job);
+  await saveQueue();
+  broadcastJobProgress(job);
+
+  processDownloadQueue().catch((err) => {
+    console.error("Download queue failed", err);
+  });
+
+  return job;
+}
+
+function buildSelectionMeta(tabId, payload) {
+  if (!Array.isArray(payload.images) || payload.images.length === 0) {
+    return null;
+  }
+
+  return {
+    tabId,
+    illustId: payload.illustId || "pixiv",
+    title: payload.title || getMessage("fallbackArtworkTitle", payload.illustId || ""),
+    author: payload.author || getMessage("fallbackUnknownCreator"),
+    details: payload.details || {},
+    series: sanitizeSeriesContext(payload.series),
+    ranking: sanitizeRankingContext(payload.ranking),
+    images: payload.images,
+    selection: payload.selection || { mode: "all" }
+  };
+}
+
+function buildNovelMeta(tabId, payload) {
+  const novelId = String(payload.novelId || "");
+  if (!/^\d+$/.test(novelId) || typeof payload.content !== "string") {
+    return null;
+  }
+
+  return {
+    tabId,
+    illustId: novelId,
+    title: payload.title || getMessage("fallbackNovelTitle", novelId),
+    author: payload.author || getMessage("fallbackUnknownCreator"),
+    details: payload.details || {},
+    series: sanitizeSeriesContext(payload.series),
+    novel: {
+      content: payload.content,
+      coverUrl: typeof payload.coverUrl === "string" ? payload.coverUrl : null,
+      embeds: payload.embeds && typeof payload.embeds === "object" ? payload.embeds : {},
+      language: typeof payload.language === "string" && payload.language ? payload.language : "ja"
+    },
+    images: [{ url: `https://www.pixiv.net/novel/show.php?id=${novelId}`, page: 0, variant: "novel" }],
+    selection: { mode: "all" }
+  };
+}
+
+async function processDownloadQueue() {
+  if (queueProcessing) {
+    return;
+  }
+
+  queueProcessing = true;
+  try {
+    await ensureSettingsLoaded();
+    await ensureQueueLoaded();
+
+    let job = downloadQueue.find((entry) => entry.state === "pending");
+    while (job) {
+      job.state = "running";
+      job.updatedAt = Date.now();
+      await saveQueue();
+      broadcastJobProgress(job);
+
+      setBadgeColor(job.tabId, "#1d9bf0");
+
+      let errors;
+      try {
+        errors = await triggerDownloads(job);
+      } catch (err) {
+        console.error("Pixiv download job failed", job.illustId, err);
+        errors = [{ url: null, error: formatErrorMessage(err?.message) }];
+      }
+
+      if (job.state !== "running" && isJobInterrupted(job)) {
+        await saveQueue();
+        broadcastJobProgress(job);
+        job = downloadQueue.find((entry) => entry.state === "pending");
+        continue;
+      }
+
+      const stoppedState = isJobInterrupted(job) ? STOPPED_JOB_STATES[job.stopRequested] : null;
+      job.errors = errors;
+      job.state = stoppedState || (errors.length ? "failed" : "done");
+      job.stopRequested = null;
+      job.updatedAt = Date.now();
+      if (stoppedState) {
+        setBadgeText(job.tabId, "");
+      } else {
+        finalizeBadge(job.tabId, job.pages.length, errors.length);
+        notifyJobFailed(job);
+      }
+      notifyHistoryUpdated(job);
+      broadcastJobProgress(job);
+      if (job.state === "done" && !job.novel) {
+        await markSyncWorkDone(job.illustId).catch((err) => {
+          console.warn("Failed to update the follow sync watermark", job.illustId, err);
+        });
+      }
+
+      pruneQueue();
+      await saveQueue();
+      job = downloadQueue.find((entry) => entry.state === "pending");
+    }
+  } finally {
+    queueProcessing = false;
+    closeOffscreenDocumentIfIdle();
+  }
+}
+
+function notifyHistoryUpdated(job) {
+  if (!job.tabId || job.novel || !job.pages.some((page) => page.state === "done" || page.state === "skipped")) {
+    return;
+  }
+
+  tabsSendMessage(job.tabId, {
+    type: "PIXIV_HISTORY_UPDATED",
+    payload: { illustIds: [String(job.illustId)] }
+  }).catch(() => {});
+}
+
+function formatErrorMessage(message) {
+  if (!message) return getMessage("errorUnknown");
+  if (message.length < 120) return message;
+  return `${message.slice(0, 117)}...`;
+}
+
+function finalizeBadge(tabId, totalCount, errorCount) {
+  if (!tabId) {
+    return;
+  }
+
+  if (errorCount === 0) {
     setBadgeText(tabId, "✔");
   } else if (errorCount >= totalCount) {
     setBadgeText(tabId, "ERR");
@@ -893,10 +2433,546 @@ function finalizeBadge(tabId, totalCount, errorCount) {
     setBadgeText(tabId, `${totalCount - errorCount}`);
   }
 
-  setTimeout(() => setBadgeText(tabId, ""), 2500);
+  setTimeout(() => setBadgeText(tabId, ""), 2500);
+}
+
+function summarizeJob(job) {
+  return {
+    id: job.id,
+    illustId: job.illustId,
+    title: job.title,
+    author: job.author,
+    novel: Boolean(job.novel),
+    state: job.state,
+    stopRequested: job.stopRequested || null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    pages: job.pages.map((page, index) => ({
+      page: Number.isFinite(page.page) ? page.page : index,
+      state: page.state,
+      error: page.error || null,
+      attempts: Array.isArray(page.attempts) ? page.attempts : []
+    }))
+  };
+}
+
+function broadcastJobProgress(job) {
+  runtimeSendMessage({ type: "PIXIV_QUEUE_PROGRESS", payload: summarizeJob(job) }).catch(() => {});
+}
+
+function notifyJobFailed(job) {
+  const failed = job.pages.filter((page) => page.state === "failed").length;
+  if (!job.tabId || !failed) {
+    return;
+  }
+
+  tabsSendMessage(job.tabId, {
+    type: "PIXIV_JOB_FAILED",
+    payload: { jobId: job.id, illustId: String(job.illustId), failed, total: job.pages.length }
+  }).catch(() => {});
+}
+
+function canApplyJobAction(job, action) {
+  if (action === "resume" && job.state === "running" && job.stopRequested === "pause") {
+    return true;
+  }
+  return Boolean(JOB_ACTION_STATES[action]?.includes(job.state));
+}
+
+function applyJobAction(job, action) {
+  if (!canApplyJobAction(job, action)) {
+    return;
+  }
+
+  if (action === "pause" || action === "cancel") {
+    if (job.state === "running") {
+      job.stopRequested = action;
+      jobAbortControllers.get(job.id)?.abort();
+    } else {
+      job.state = STOPPED_JOB_STATES[action];
+    }
+  } else if (action === "resume") {
+    job.stopRequested = null;
+    job.state = "pending";
+  } else if (action === "retry") {
+    const rebuildArchive = Boolean(getJobArchiveFormat(job));
+    if (rebuildArchive) {
+      job.skipDownloaded = false;
+    }
+    for (const page of job.pages) {
+      if (page.state === "failed" || (rebuildArchive && page.state === "done")) {
+        page.state = "pending";
+        page.error = null;
+        page.attempts = null;
+      }
+    }
+    job.errors = [];
+    job.state = "pending";
+  }
+  job.updatedAt = Date.now();
+}
+
+async function controlJob(jobId, action) {
+  await ensureQueueLoaded();
+  const job = downloadQueue.find((entry) => entry.id === jobId);
+  if (!job) {
+    throw new Error(getMessage("errorJobMissing"));
+  }
+
+  applyJobAction(job, action);
+  await saveQueue();
+  broadcastJobProgress(job);
+
+  if (job.state === "pending") {
+    processDownloadQueue().catch((err) => {
+      console.error("Download queue failed", err);
+    });
+  }
+  return job;
+}
+
+const BATCH_MESSAGE_ACTIONS = {
+  PIXIV_BATCH_PAUSE: "pause",
+  PIXIV_BATCH_RESUME: "resume",
+  PIXIV_BATCH_CANCEL: "cancel"
+};
+const BATCH_ACTION_STATES = { pause: "paused", resume: "running", cancel: "cancelled" };
+
+async function controlBatch(action, tabId = null) {
+  await ensureQueueLoaded();
+  const jobs = downloadQueue.filter((job) => (!tabId || job.tabId === tabId) && canApplyJobAction(job, action));
+  for (const job of jobs) {
+    applyJobAction(job, action);
+  }
+  await saveQueue();
+  jobs.forEach(broadcastJobProgress);
+  const batches = await controlWorkBatches(action, tabId);
+
+  if (action === "resume" && jobs.length) {
+    processDownloadQueue().catch((err) => {
+      console.error("Download queue failed", err);
+    });
+  }
+
+  const counts = new Map(tabId ? [[tabId, 0]] : []);
+  for (const { tabId: id, count } of [...jobs.map((job) => ({ tabId: job.tabId, count: 1 })), ...batches]) {
+    if (id) {
+      counts.set(id, (counts.get(id) || 0) + count);
+    }
+  }
+  for (const [id, count] of counts) {
+    tabsSendMessage(id, {
+      type: "PIXIV_BATCH_STATE",
+      payload: { state: BATCH_ACTION_STATES[action], count }
+    }).catch(() => {});
+  }
+  return batches.reduce((sum, batch) => sum + batch.count, jobs.length);
+}
+
+const ACTION_POPUP_PATH = "popup/popup.html";
+
+function applyActionPopup(enabled) {
+  if (!actionApi?.setPopup) {
+    return;
+  }
+
+  try {
+    const result = actionApi.setPopup({ popup: enabled ? ACTION_POPUP_PATH : "" });
+    if (result && typeof result.then === "function") {
+      result.catch(() => {});
+    }
+  } catch (err) {
+    console.warn("Failed to set action popup", err);
+  }
+}
+
+async function promptSeriesChoice(tabId, series) {
+  try {
+    const response = await tabsSendMessage(tabId, { type: "PIXIV_PROMPT_SERIES", payload: { series } });
+    return response && response.success ? response.choice || null : "work";
+  } catch (err) {
+    console.warn("Series prompt failed", err);
+    return "work";
+  }
+}
+
+const SYNC_STORAGE_KEY = "followSync";
+const SYNC_ALARM_NAME = "pixiv-follow-sync";
+const SYNC_FEED_URL = "https://www.pixiv.net/bookmark_new_illust.php";
+
+let syncStateUpdates = Promise.resolve();
+
+async function loadSyncState() {
+  const stored = await storageGet(STORAGE_FALLBACK, [SYNC_STORAGE_KEY]);
+  const state = stored[SYNC_STORAGE_KEY] || {};
+  return {
+    watermarks: state.watermarks && typeof state.watermarks === "object" ? state.watermarks : {},
+    pending: state.pending && typeof state.pending === "object" ? state.pending : {},
+    lastRunAt: Number(state.lastRunAt) || 0,
+    lastQueued: Number(state.lastQueued) || 0,
+    lastFailed: Number(state.lastFailed) || 0
+  };
+}
+
+function updateSyncState(update) {
+  const run = syncStateUpdates.then(async () => {
+    const state = await loadSyncState();
+    if (update(state) !== false) {
+      await storageSet(STORAGE_FALLBACK, { [SYNC_STORAGE_KEY]: state });
+    }
+    return state;
+  });
+  syncStateUpdates = run.catch(() => {});
+  return run;
+}
+
+function recordSyncCandidates(works) {
+  return updateSyncState((state) => {
+    state.pending = {};
+    for (const work of Array.isArray(works) ? works : []) {
+      const illustId = String(work?.illustId ?? "");
+      const userId = String(work?.userId ?? "");
+      if (/^\d+$/.test(illustId) && /^\d+$/.test(userId)) {
+        state.pending[illustId] = { userId, done: false };
+      }
+    }
+  });
+}
+
+function advanceSyncWatermark(state, userId) {
+  const entries = Object.entries(state.pending)
+    .filter(([, entry]) => entry.userId === userId)
+    .sort(([a], [b]) => Number(a) - Number(b));
+
+  for (const [illustId, entry] of entries) {
+    if (!entry.done) {
+      break;
+    }
+    if (Number(illustId) > Number(state.watermarks[userId] || 0)) {
+      state.watermarks[userId] = illustId;
+    }
+    delete state.pending[illustId];
+  }
+}
+
+function markSyncWorkDone(illustId) {
+  return updateSyncState((state) => {
+    const entry = state.pending[String(illustId)];
+    if (!entry) {
+      return false;
+    }
+
+    entry.done = true;
+    advanceSyncWatermark(state, entry.userId);
+  });
+}
+
+function recordSyncResult(result) {
+  return updateSyncState((state) => {
+    state.lastRunAt = Date.now();
+    state.lastQueued = Math.max(0, Math.floor(Number(result.queued) || 0));
+    state.lastFailed = Math.max(0, Math.floor(Number(result.failed) || 0));
+  });
+}
+
+async function findSyncTab() {
+  const tabs = await tabsQuery({ url: "https://www.pixiv.net/*" });
+  const existing = tabs.find((tab) => tab && tab.id && tab.status === "complete");
+  if (existing) {
+    return { tabId: existing.id, created: false };
+  }
+
+  const tab = await tabsCreate({ url: SYNC_FEED_URL, active: false });
+  await waitForTabComplete(tab.id);
+  return { tabId: tab.id, created: true };
+}
+
+async function startFollowSync() {
+  await ensureSettingsLoaded();
+  const { tabId, created } = await findSyncTab();
+  try {
+    await sendToContentScript(tabId, { type: "PIXIV_SYNC_RUN", payload: { closeTab: created } });
+  } catch (err) {
+    if (created) {
+      tabsRemove(tabId);
+    }
+    throw err;
+  }
+}
+
+const BATCH_STORAGE_KEY = "workBatches";
+const WORK_BATCH_ACTION_STATES = {
+  pause: ["running"],
+  resume: ["paused"],
+  cancel: ["running", "paused"]
+};
+
+let workBatches = [];
+let workBatchesReadyPromise = null;
+let workBatchesProcessing = false;
+let workBatchResolver = null;
+
+function isValidWorkBatch(batch) {
+  return Boolean(batch && typeof batch === "object" && batch.id && Array.isArray(batch.works));
+}
+
+async function ensureWorkBatchesLoaded() {
+  if (!workBatchesReadyPromise) {
+    workBatchesReadyPromise = (async () => {
+      const stored = await storageGet(STORAGE_FALLBACK, [BATCH_STORAGE_KEY]);
+      const batches = Array.isArray(stored[BATCH_STORAGE_KEY]) ? stored[BATCH_STORAGE_KEY] : [];
+      workBatches = batches.filter(isValidWorkBatch);
+      return workBatches;
+    })();
+  }
+  return workBatchesReadyPromise;
+}
+
+function saveWorkBatches() {
+  return storageSet(STORAGE_FALLBACK, { [BATCH_STORAGE_KEY]: workBatches });
+}
+
+async function addWorkBatch(tabId, payload) {
+  await ensureWorkBatchesLoaded();
+  const works = (Array.isArray(payload.works) ? payload.works : [])
+    .map((work) => ({
+      id: String(work?.id ?? ""),
+      extras: work?.extras && typeof work.extras === "object" ? work.extras : {}
+    }))
+    .filter((work) => /^\d+$/.test(work.id));
+
+  const batch = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    tabId,
+    kind: payload.kind === "novel" ? "novel" : "illust",
+    works,
+    next: 0,
+    queued: 0,
+    failed: 0,
+    skipped: 0,
+    minBookmarks: Math.max(0, Math.floor(Number(payload.minBookmarks) || 0)),
+    sync: payload.sync ? { closeTab: Boolean(payload.sync.closeTab) } : null,
+    state: "running"
+  };
+  workBatches.push(batch);
+  await saveWorkBatches();
+  broadcastWorkBatch(batch);
+
+  processWorkBatches().catch((err) => {
+    console.error("Batch queue failed", err);
+  });
+
+  return batch;
+}
+
+function summarizeWorkBatch(batch, state = batch.state) {
+  return {
+    id: batch.id,
+    kind: batch.kind,
+    sync: Boolean(batch.sync),
+    state,
+    total: batch.works.length,
+    next: batch.next,
+    queued: batch.queued,
+    failed: batch.failed,
+    skipped: batch.skipped
+  };
+}
+
+function broadcastWorkBatch(batch, state) {
+  runtimeSendMessage({ type: "PIXIV_WORK_BATCH_PROGRESS", payload: summarizeWorkBatch(batch, state) }).catch(() => {});
+}
+
+function notifyWorkBatch(batch, payload) {
+  if (batch.tabId) {
+    tabsSendMessage(batch.tabId, { type: "PIXIV_BATCH_PROGRESS", payload }).catch(() => {});
+  }
+}
+
+async function isPixivTab(tabId) {
+  try {
+    const tab = await tabsGet(tabId);
+    return /^https?:\/\/(www\.)?pixiv\.net\//i.test(tab?.url || "");
+  } catch (err) {
+    return false;
+  }
+}
+
+async function getWorkBatchResolver(batch) {
+  if (batch.tabId && await isPixivTab(batch.tabId)) {
+    return batch.tabId;
+  }
+
+  if (!workBatchResolver || !(await isPixivTab(workBatchResolver.tabId))) {
+    workBatchResolver = await findSyncTab();
+  }
+  return workBatchResolver.tabId;
+}
+
+async function resolveBatchWork(batch, work) {
+  const message = { type: "PIXIV_RESOLVE_WORK", payload: { kind: batch.kind, id: work.id } };
+  try {
+    return await sendToContentScript(await getWorkBatchResolver(batch), message);
+  } catch (err) {
+    console.warn("Retrying batch work in another tab", work.id, err);
+    return sendToContentScript(await getWorkBatchResolver(batch), message);
+  }
+}
+
+async function queueBatchWork(batch, work) {
+  notifyWorkBatch(batch, { state: "running", current: batch.next + 1, total: batch.works.length });
+
+  try {
+    const response = await resolveBatchWork(batch, work);
+    if (!response || !response.success) {
+      throw new Error(response?.error || getMessage("errorDataFetchFailed"));
+    }
+
+    const payload = { ...response.payload, ...work.extras };
+    if (batch.minBookmarks && (Number(payload.details?.bookmarkCount) || 0) < batch.minBookmarks) {
+      batch.skipped += 1;
+    } else if (workBatches.includes(batch)) {
+      const meta = batch.kind === "novel" ? buildNovelMeta(batch.tabId, payload) : buildSelectionMeta(batch.tabId, payload);
+      if (!meta) {
+        throw new Error(getMessage(batch.kind === "novel" ? "errorNoNovelText" : "errorNoImagesForDownload"));
+      }
+      await enqueueDownload(meta);
+      batch.queued += 1;
+    }
+  } catch (err) {
+    console.warn("Failed to queue Pixiv work", work.id, err);
+    batch.failed += 1;
+  }
+  batch.next += 1;
+}
+
+async function closeWorkBatch(batch) {
+  workBatches = workBatches.filter((entry) => entry !== batch);
+  if (!batch.sync) {
+    return;
+  }
+
+  try {
+    await recordSyncResult({ queued: batch.queued, failed: batch.failed });
+  } finally {
+    if (batch.sync.closeTab && batch.tabId) {
+      tabsRemove(batch.tabId);
+    }
+  }
+}
+
+async function processWorkBatches() {
+  if (workBatchesProcessing) {
+    return;
+  }
+
+  workBatchesProcessing = true;
+  try {
+    await ensureSettingsLoaded();
+    await ensureWorkBatchesLoaded();
+
+    let batch = workBatches.find((entry) => entry.state === "running");
+    while (batch) {
+      if (batch.next < batch.works.length) {
+        await queueBatchWork(batch, batch.works[batch.next]);
+      }
+      if (workBatches.includes(batch) && batch.next >= batch.works.length) {
+        notifyWorkBatch(batch, { state: "done", queued: batch.queued, failed: batch.failed, skipped: batch.skipped });
+        broadcastWorkBatch(batch, "done");
+        await closeWorkBatch(batch);
+      } else if (workBatches.includes(batch)) {
+        broadcastWorkBatch(batch);
+      }
+      await saveWorkBatches();
+      batch = workBatches.find((entry) => entry.state === "running");
+    }
+  } finally {
+    workBatchesProcessing = false;
+    if (workBatchResolver?.created) {
+      tabsRemove(workBatchResolver.tabId);
+    }
+    workBatchResolver = null;
+  }
+}
+
+function canApplyWorkBatchAction(batch, action) {
+  return (WORK_BATCH_ACTION_STATES[action] || []).includes(batch.state);
+}
+
+async function applyWorkBatchAction(batches, action) {
+  for (const batch of batches) {
+    if (action === "cancel") {
+      await closeWorkBatch(batch);
+      broadcastWorkBatch(batch, "cancelled");
+    } else {
+      batch.state = action === "pause" ? "paused" : "running";
+      broadcastWorkBatch(batch);
+    }
+  }
+  await saveWorkBatches();
+
+  if (action === "resume") {
+    processWorkBatches().catch((err) => {
+      console.error("Batch queue failed", err);
+    });
+  }
+}
+
+async function controlWorkBatches(action, tabId) {
+  await ensureWorkBatchesLoaded();
+  const batches = workBatches.filter((batch) => (!tabId || batch.tabId === tabId) && canApplyWorkBatchAction(batch, action));
+  if (!batches.length) {
+    return [];
+  }
+
+  await applyWorkBatchAction(batches, action);
+  return batches.map((batch) => ({ tabId: batch.tabId, count: batch.works.length - batch.next }));
+}
+
+async function controlWorkBatch(batchId, action) {
+  await ensureWorkBatchesLoaded();
+  const batch = workBatches.find((entry) => entry.id === batchId);
+  if (!batch) {
+    throw new Error(getMessage("errorJobMissing"));
+  }
+
+  if (canApplyWorkBatchAction(batch, action)) {
+    await applyWorkBatchAction([batch], action);
+    if (batch.tabId) {
+      tabsSendMessage(batch.tabId, {
+        type: "PIXIV_BATCH_STATE",
+        payload: { state: BATCH_ACTION_STATES[action], count: batch.works.length - batch.next }
+      }).catch(() => {});
+    }
+  }
+  return summarizeWorkBatch(batch, workBatches.includes(batch) ? batch.state : "cancelled");
+}
+
+function scheduleSyncAlarm(interval) {
+  const alarms = browserApi.alarms;
+  if (!alarms) {
+    return;
+  }
+
+  if (!interval) {
+    alarms.clear(SYNC_ALARM_NAME);
+    return;
+  }
+
+  const apply = (alarm) => {
+    if (!alarm || alarm.periodInMinutes !== interval) {
+      alarms.create(SYNC_ALARM_NAME, { delayInMinutes: interval, periodInMinutes: interval });
+    }
+  };
+
+  if (IS_CHROME) {
+    chrome.alarms.get(SYNC_ALARM_NAME, apply);
+  } else {
+    alarms.get(SYNC_ALARM_NAME).then(apply);
+  }
 }
 
-async function handleAction(tab) {
+async function handleAction(tab, options = {}) {
   const targetTab = tab && tab.id ? tab : await tabsQueryActive();
   if (!targetTab || !targetTab.id) {
     return;
@@ -922,6 +2998,11 @@ async function handleAction(tab) {
     return;
   }
 
+  if (payload && payload.success && payload.batch) {
+    setBadgeText(targetTab.id, "");
+    return;
+  }
+
   if (!payload || !payload.success || !Array.isArray(payload.images) || !payload.images.length) {
     const reason = payload && payload.error ? payload.error : getMessage("errorNoDownloadableImages");
     console.warn("Pixiv scrape failed", reason);
@@ -930,16 +3011,25 @@ async function handleAction(tab) {
     return;
   }
 
+  if (payload.details?.series) {
+    const choice = await promptSeriesChoice(targetTab.id, payload.details.series);
+    if (choice !== "work") {
+      setBadgeText(targetTab.id, "");
+      return;
+    }
+  }
+
   const meta = {
     tabId: targetTab.id,
     illustId: payload.illustId,
     title: payload.title,
     author: payload.author,
+    details: payload.details || {},
     images: payload.images
   };
 
   await ensureSettingsLoaded();
-  const selectionResult = await resolveSelectionForToolbar(targetTab.id, meta);
+  const selectionResult = await resolveSelectionForToolbar(targetTab.id, meta, { forcePrompt: options.forcePrompt });
 
   if (selectionResult.cancelled) {
     setBadgeText(targetTab.id, "");
@@ -958,16 +3048,213 @@ async function handleAction(tab) {
     selection: selectionResult.selection || { mode: "all" }
   };
 
-  const errors = await triggerDownloads(downloadMeta);
-  finalizeBadge(targetTab.id, selectionResult.images.length, errors.length);
+  await enqueueDownload(downloadMeta);
+}
+
+const CONTEXT_MENU_ARTWORK = "pixiv-download-artwork";
+const CONTEXT_MENU_LINKED_ARTWORK = "pixiv-download-linked-artwork";
+const CONTEXT_MENU_LINKED_USER = "pixiv-download-linked-user";
+const CONTEXT_MENU_ITEMS = [
+  {
+    id: CONTEXT_MENU_ARTWORK,
+    titleKey: "contextMenuDownloadArtwork",
+    contexts: ["page", "image"],
+    documentUrlPatterns: ["https://www.pixiv.net/artworks/*", "https://www.pixiv.net/en/artworks/*"]
+  },
+  {
+    id: CONTEXT_MENU_LINKED_ARTWORK,
+    titleKey: "contextMenuDownloadLinkedArtwork",
+    contexts: ["link"],
+    targetUrlPatterns: ["https://www.pixiv.net/artworks/*", "https://www.pixiv.net/en/artworks/*"]
+  },
+  {
+    id: CONTEXT_MENU_LINKED_USER,
+    titleKey: "contextMenuDownloadLinkedUser",
+    contexts: ["link"],
+    targetUrlPatterns: ["https://www.pixiv.net/users/*", "https://www.pixiv.net/en/users/*"]
+  }
+];
+const CONTEXT_MENU_BATCH_ITEMS = [
+  { id: "pixiv-batch-pause", titleKey: "contextMenuPauseDownloads", action: "pause" },
+  { id: "pixiv-batch-resume", titleKey: "contextMenuResumeDownloads", action: "resume" },
+  { id: "pixiv-batch-cancel", titleKey: "contextMenuCancelDownloads", action: "cancel" }
+];
+
+function getContextMenusApi() {
+  return browserApi.contextMenus || browserApi.menus || null;
+}
+
+function createContextMenus() {
+  const menus = getContextMenusApi();
+  if (!menus) {
+    return;
+  }
+
+  const build = () => {
+    for (const { titleKey, ...item } of CONTEXT_MENU_ITEMS) {
+      menus.create({
+        ...item,
+        title: getMessage(titleKey)
+      });
+    }
+    for (const { id, titleKey } of CONTEXT_MENU_BATCH_ITEMS) {
+      menus.create({
+        id,
+        contexts: [IS_CHROME ? "action" : "browser_action"],
+        title: getMessage(titleKey)
+      });
+    }
+  };
+
+  if (IS_CHROME) {
+    chrome.contextMenus.removeAll(build);
+  } else {
+    menus.removeAll().then(build).catch((err) => {
+      console.warn("Failed to create context menus", err);
+    });
+  }
+}
+
+function parsePixivLink(url) {
+  const match = /^https?:\/\/(?:www\.)?pixiv\.net\/(?:en\/)?(artworks|users)\/(\d+)/.exec(url || "");
+  if (!match) {
+    return null;
+  }
+  return { kind: match[1] === "users" ? "user" : "artwork", id: match[2] };
+}
+
+async function handleContextMenuClick(info, tab) {
+  const batchItem = CONTEXT_MENU_BATCH_ITEMS.find((item) => item.id === info.menuItemId);
+  if (batchItem) {
+    await controlBatch(batchItem.action);
+    return;
+  }
+
+  if (!tab || !tab.id) {
+    return;
+  }
+
+  if (info.menuItemId === CONTEXT_MENU_ARTWORK) {
+    await handleAction(tab);
+    return;
+  }
+
+  const link = parsePixivLink(info.linkUrl);
+  if (!link) {
+    return;
+  }
+
+  const expected = info.menuItemId === CONTEXT_MENU_LINKED_USER ? "user" : "artwork";
+  if (link.kind !== expected) {
+    return;
+  }
+
+  if (/^https?:\/\/(www\.)?pixiv\.net\//i.test(tab.url || "")) {
+    await sendToContentScript(tab.id, { type: "PIXIV_QUEUE_LINK", payload: link });
+    return;
+  }
+
+  if (link.kind === "artwork") {
+    await addWorkBatch(null, { works: [{ id: link.id }] });
+    return;
+  }
+
+  const profileTab = await tabsCreate({ url: `https://www.pixiv.net/users/${link.id}`, active: true });
+  await waitForTabComplete(profileTab.id);
+  await sendToContentScript(profileTab.id, { type: "PIXIV_QUEUE_LINK", payload: link });
+}
+
+const COMMAND_DOWNLOAD_ARTWORK = "download-artwork";
+const COMMAND_DOWNLOAD_WITH_PICKER = "download-with-picker";
+const COMMAND_CANCEL_BATCH = "cancel-batch";
+
+async function handleCommand(command) {
+  const tab = await tabsQueryActive();
+  if (!tab || !tab.id) {
+    return;
+  }
+
+  if (command === COMMAND_CANCEL_BATCH) {
+    await controlBatch("cancel", tab.id);
+    return;
+  }
+
+  if (command === COMMAND_DOWNLOAD_ARTWORK || command === COMMAND_DOWNLOAD_WITH_PICKER) {
+    await handleAction(tab, { forcePrompt: command === COMMAND_DOWNLOAD_WITH_PICKER });
+  }
 }
 
-ensureSettingsLoaded().catch((err) => {
+ensureSettingsLoaded().then((settings) => {
+  scheduleSyncAlarm(settings.syncInterval);
+  applyActionPopup(settings.actionPopup);
+}).catch((err) => {
   console.warn("Failed to load initial settings", err);
 });
 
+clearStaleTransfers().then(() => processDownloadQueue()).catch((err) => {
+  console.warn("Failed to resume download queue", err);
+});
+
+processWorkBatches().catch((err) => {
+  console.warn("Failed to resume batch queue", err);
+});
+
+if (browserApi.downloads?.onChanged && typeof browserApi.downloads.onChanged.addListener === "function") {
+  browserApi.downloads.onChanged.addListener((delta) => {
+    const state = delta?.state?.current;
+    if (state === "complete" || state === "interrupted") {
+      settleDownload(delta.id, state, delta.error?.current);
+    }
+  });
+}
+
+if (browserApi.runtime?.onStartup && typeof browserApi.runtime.onStartup.addListener === "function") {
+  browserApi.runtime.onStartup.addListener(() => {
+    processDownloadQueue().catch((err) => {
+      console.warn("Failed to resume download queue", err);
+    });
+    processWorkBatches().catch((err) => {
+      console.warn("Failed to resume batch queue", err);
+    });
+  });
+}
+
+if (browserApi.runtime?.onInstalled && typeof browserApi.runtime.onInstalled.addListener === "function") {
+  browserApi.runtime.onInstalled.addListener(() => {
+    ensureSettingsLoaded().then(createContextMenus).catch((err) => {
+      console.warn("Failed to create context menus", err);
+    });
+  });
+}
+
+if (getContextMenusApi()?.onClicked && typeof getContextMenusApi().onClicked.addListener === "function") {
+  getContextMenusApi().onClicked.addListener((info, tab) => {
+    handleContextMenuClick(info, tab).catch((err) => {
+      console.warn("Context menu download failed", err);
+    });
+  });
+}
+
+if (browserApi.alarms?.onAlarm && typeof browserApi.alarms.onAlarm.addListener === "function") {
+  browserApi.alarms.onAlarm.addListener((alarm) => {
+    if (alarm?.name === SYNC_ALARM_NAME) {
+      startFollowSync().catch((err) => {
+        console.warn("Scheduled follow sync failed", err);
+      });
+    }
+  });
+}
+
 if (actionApi?.onClicked && typeof actionApi.onClicked.addListener === "function") {
-  actionApi.onClicked.addListener(handleAction);
+  actionApi.onClicked.addListener((tab) => handleAction(tab));
+}
+
+if (browserApi.commands?.onCommand && typeof browserApi.commands.onCommand.addListener === "function") {
+  browserApi.commands.onCommand.addListener((command) => {
+    handleCommand(command).catch((err) => {
+      console.warn("Keyboard command failed", command, err);
+    });
+  });
 }
 
 browserApi.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -982,30 +3269,19 @@ browserApi.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return true;
     }
 
-    const payload = message.payload || {};
-    if (!Array.isArray(payload.images) || payload.images.length === 0) {
+    const meta = buildSelectionMeta(tabId, message.payload || {});
+    if (!meta) {
       sendResponse({ success: false, error: getMessage("errorNoImagesForDownload") });
       return true;
     }
 
-    const meta = {
-      tabId,
-      illustId: payload.illustId || "pixiv",
-      title: payload.title || getMessage("fallbackArtworkTitle", payload.illustId || ""),
-      author: payload.author || getMessage("fallbackUnknownCreator"),
-      images: payload.images,
-      selection: payload.selection || { mode: "all" }
-    };
-
     setBadgeColor(tabId, "#1d9bf0");
     setBadgeText(tabId, "...");
 
     (async () => {
       try {
-        await ensureSettingsLoaded();
-        const errors = await triggerDownloads(meta);
-        finalizeBadge(tabId, meta.images.length, errors.length);
-        sendResponse({ success: true, accepted: true, count: meta.images.length, errors });
+        const job = await enqueueDownload(meta);
+        sendResponse({ success: true, accepted: true, count: meta.images.length, jobId: job.id });
       } catch (err) {
         console.error("Pixiv overlay-triggered download failed", err);
         setBadgeText(tabId, "ERR");
@@ -1016,6 +3292,31 @@ browserApi.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (message.type === "PIXIV_DOWNLOAD_NOVEL") {
+    const tabId = sender?.tab?.id || null;
+    const meta = buildNovelMeta(tabId, message.payload || {});
+    if (!meta) {
+      sendResponse({ success: false, error: getMessage("errorNoNovelText") });
+      return true;
+    }
+
+    if (tabId) {
+      setBadgeColor(tabId, "#1d9bf0");
+      setBadgeText(tabId, "...");
+    }
+
+    (async () => {
+      try {
+        const job = await enqueueDownload(meta);
+        sendResponse({ success: true, accepted: true, jobId: job.id });
+      } catch (err) {
+        console.error("Pixiv novel download failed", err);
+        sendResponse({ success: false, error: formatErrorMessage(err?.message) });
+      }
+    })();
+    return true;
+  }
+
   if (message.type === "PIXIV_SETTINGS_UPDATED") {
     (async () => {
       try {
@@ -1030,6 +3331,221 @@ browserApi.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (message.type === "PIXIV_TEMPLATE_PREVIEW") {
+    (async () => {
+      try {
+        await ensureSettingsLoaded();
+        sendResponse({ success: true, ...buildTemplatePreview(message.payload || {}) });
+      } catch (err) {
+        sendResponse({ success: false, error: err?.message || "preview-error" });
+      }
+    })();
+    return true;
+  }
+
+  if (message.type === "PIXIV_HISTORY_LOOKUP") {
+    (async () => {
+      try {
+        const illustIds = Array.isArray(message.payload?.illustIds) ? message.payload.illustIds : [];
+        const pages = Array.isArray(message.payload?.pages) ? message.payload.pages : null;
+        const downloaded = pages && illustIds.length === 1
+          ? (await hasHistoryEntries(illustIds[0], pages) ? illustIds : [])
+          : await getDownloadedIllustIds(illustIds);
+        sendResponse({ success: true, downloaded });
+      } catch (err) {
+        sendResponse({ success: false, error: err?.message || "history-error" });
+      }
+    })();
+    return true;
+  }
+
+  if (message.type === "PIXIV_REQUEST_SLOT") {
+    pixivRequests.acquire(String(message.payload?.url || ""))
+      .then(() => sendResponse({ success: true }))
+      .catch((err) => sendResponse({ success: false, error: err?.message || "scheduler-error" }));
+    return true;
+  }
+
+  if (message.type === "PIXIV_REQUEST_HOLD") {
+    const ms = clampNumber(message.payload?.ms, 0, REQUEST_RETRY_AFTER_MAX_MS, 0);
+    pixivRequests.hold(String(message.payload?.url || ""), ms);
+    sendResponse({ success: true });
+    return;
+  }
+
+  if (message.type === "PIXIV_HISTORY_STATS") {
+    (async () => {
+      try {
+        sendResponse({ success: true, count: await countHistoryEntries() });
+      } catch (err) {
+        sendResponse({ success: false, error: err?.message || "history-error" });
+      }
+    })();
+    return true;
+  }
+
+  if (message.type === "PIXIV_HISTORY_CLEAR") {
+    (async () => {
+      try {
+        await clearHistory();
+        sendResponse({ success: true });
+      } catch (err) {
+        sendResponse({ success: false, error: err?.message || "history-error" });
+      }
+    })();
+    return true;
+  }
+
+  if (message.type === "PIXIV_SYNC_STATE_REQUEST") {
+    (async () => {
+      try {
+        const settings = await ensureSettingsLoaded();
+        const state = await loadSyncState();
+        sendResponse({
+          success: true,
+          ...state,
+          artistCount: Object.keys(state.watermarks).length,
+          source: settings.syncSource,
+          watchlist: settings.syncWatchlist
+        });
+      } catch (err) {
+        sendResponse({ success: false, error: err?.message || "sync-error" });
+      }
+    })();
+    return true;
+  }
+
+  if (message.type === "PIXIV_SYNC_START") {
+    (async () => {
+      try {
+        await startFollowSync();
+        sendResponse({ success: true });
+      } catch (err) {
+        console.error("Follow sync failed to start", err);
+        sendResponse({ success: false, error: formatErrorMessage(err?.message) });
+      }
+    })();
+    return true;
+  }
+
+  if (message.type === "PIXIV_BATCH_QUEUE") {
+    (async () => {
+      try {
+        const batch = await addWorkBatch(sender?.tab?.id || null, message.payload || {});
+        sendResponse({ success: true, batchId: batch.id, count: batch.works.length });
+      } catch (err) {
+        console.error("Failed to queue batch works", err);
+        sendResponse({ success: false, error: formatErrorMessage(err?.message) });
+      }
+    })();
+    return true;
+  }
+
+  if (message.type === "PIXIV_SYNC_PENDING") {
+    recordSyncCandidates(message.payload?.works)
+      .then(() => sendResponse({ success: true }))
+      .catch((err) => sendResponse({ success: false, error: err?.message || "sync-error" }));
+    return true;
+  }
+
+  if (message.type === "PIXIV_SYNC_FINISHED") {
+    const payload = message.payload || {};
+    const tabId = sender?.tab?.id;
+    (async () => {
+      try {
+        if (payload.completed) {
+          await recordSyncResult(payload);
+        }
+        sendResponse({ success: true });
+      } catch (err) {
+        sendResponse({ success: false, error: err?.message || "sync-error" });
+      } finally {
+        if (payload.closeTab && tabId) {
+          tabsRemove(tabId);
+        }
+      }
+    })();
+    return true;
+  }
+
+  if (message.type === "PIXIV_QUEUE_STATE_REQUEST") {
+    (async () => {
+      try {
+        await ensureQueueLoaded();
+        await ensureWorkBatchesLoaded();
+        sendResponse({
+          success: true,
+          jobs: downloadQueue.map(summarizeJob),
+          batches: workBatches.map((batch) => summarizeWorkBatch(batch))
+        });
+      } catch (err) {
+        sendResponse({ success: false, error: err?.message || "queue-error" });
+      }
+    })();
+    return true;
+  }
+
+  if (message.type === "PIXIV_JOB_CONTROL") {
+    (async () => {
+      try {
+        const job = await controlJob(message.payload?.jobId, message.payload?.action);
+        sendResponse({ success: true, job: summarizeJob(job) });
+      } catch (err) {
+        sendResponse({ success: false, error: err?.message || "queue-error" });
+      }
+    })();
+    return true;
+  }
+
+  if (message.type === "PIXIV_WORK_BATCH_CONTROL") {
+    (async () => {
+      try {
+        const batch = await controlWorkBatch(message.payload?.batchId, message.payload?.action);
+        sendResponse({ success: true, batch });
+      } catch (err) {
+        sendResponse({ success: false, error: err?.message || "queue-error" });
+      }
+    })();
+    return true;
+  }
+
+  if (BATCH_MESSAGE_ACTIONS[message.type]) {
+    (async () => {
+      try {
+        const tabId = sender?.tab?.id || message.payload?.tabId || null;
+        const count = await controlBatch(BATCH_MESSAGE_ACTIONS[message.type], tabId);
+        sendResponse({ success: true, count });
+      } catch (err) {
+        sendResponse({ success: false, error: err?.message || "queue-error" });
+      }
+    })();
+    return true;
+  }
+
+  if (message.type === "PIXIV_QUEUE_RETRY_FAILED") {
+    (async () => {
+      try {
+        await ensureQueueLoaded();
+        const failedJobs = downloadQueue.filter((job) => job.state === "failed");
+        for (const job of failedJobs) {
+          await controlJob(job.id, "retry");
+        }
+        sendResponse({ success: true, count: failedJobs.length });
+      } catch (err) {
+        sendResponse({ success: false, error: err?.message || "queue-error" });
+      }
+    })();
+    return true;
+  }
+
+  if (message.type === "PIXIV_ACTION_RUN") {
+    handleAction(null).catch((err) => {
+      console.error("Popup-triggered download failed", err);
+    });
+    sendResponse({ success: true });
+    return true;
+  }
+
   if (message.type === "PIXIV_SETTINGS_REQUEST") {
     (async () => {
       try {
@@ -7,21 +7,152 @@
   const WRAPPER_CLASS = "pixiv-bulk-overlay";
   const BUTTON_CLASS = "pixiv-bulk-trigger";
   const TOAST_ID = "pixiv-bulk-toast";
+  const FLOATING_CLASS = "pixiv-bulk-overlay--floating";
+  const DOWNLOADED_CLASS = "pixiv-bulk-downloaded";
+  const CHECK_CLASS = "pixiv-bulk-check";
+  const CHECKED_CLASS = "pixiv-bulk-check--checked";
+  const SELECTION_BAR_ID = "pixiv-bulk-selection-bar";
 
   const FALLBACK_MESSAGES = {
     overlayAriaLabel: "Download Pixiv images",
+    overlayUserAriaLabel: "Download all works by this creator",
+    overlayDownloadedAriaLabel: "Already downloaded. Click to download again",
+    overlayBookmarksAriaLabel: "Download bookmarked works",
+    overlaySeriesAriaLabel: "Download every chapter of this series",
+    overlaySearchAriaLabel: "Download this result set",
+    overlayNovelAriaLabel: "Download this novel",
+    overlayNovelSeriesAriaLabel: "Download every chapter of this novel series",
     dialogTitle: "Download images",
     dialogSummary: (count) => {
       const value = Array.isArray(count) ? count[0] : count;
       return `Found ${value ?? ""} images. All are selected by default.`;
     },
     dialogOptionAll: "All images",
-    dialogOptionRange: "Specific range",
-    dialogErrorInvalidNumbers: "Please enter valid numbers.",
-    dialogErrorRangeOrder: "Start value must be less than or equal to end.",
+    dialogOptionRange: "Specific pages",
+    dialogErrorInvalidNumbers: "Enter pages like 1-3, 7, 10-.",
+    dialogErrorNoPages: "Select at least one page.",
+    dialogPagesPlaceholder: "e.g. 1-3, 7, 10-",
+    dialogPageAriaLabel: (page) => {
+      const value = Array.isArray(page) ? page[0] : page;
+      return `Page ${value ?? ""}`;
+    },
     dialogButtonCancel: "Cancel",
     dialogButtonConfirm: "Download",
+    dialogUserBatchTitle: "Download portfolio",
+    dialogUserBatchSummary: (values) => {
+      const [count, name] = Array.isArray(values) ? values : [values];
+      return `Found ${count ?? ""} works by ${name ?? ""}. Every page of each work will be downloaded.`;
+    },
+    dialogBookmarksTitle: "Download bookmarks",
+    dialogBookmarksPublic: "Public bookmarks",
+    dialogBookmarksPrivate: "Private bookmarks",
+    dialogBookmarksBoth: "Public and private bookmarks",
+    dialogBookmarksTagLabel: "Bookmark tag",
+    dialogBookmarksTagAll: "All tags",
+    dialogBookmarksSummary: (count) => {
+      const value = Array.isArray(count) ? count[0] : count;
+      return `Found ${value ?? ""} bookmarked works. Every page of each work will be downloaded.`;
+    },
+    dialogSeriesChoiceTitle: "Part of a series",
+    dialogSeriesChoiceSummary: (values) => {
+      const [title, order] = Array.isArray(values) ? values : [values];
+      return `This work is chapter ${order ?? "?"} of “${title ?? ""}”. Download just this work or every chapter of the series?`;
+    },
+    dialogSeriesChoiceWork: "This work",
+    dialogSeriesChoiceSeries: "Whole series",
+    dialogSeriesTitle: "Download series",
+    dialogSeriesSummary: (values) => {
+      const [count, title] = Array.isArray(values) ? values : [values];
+      return `Found ${count ?? ""} chapters in “${title ?? ""}”. They will be saved in order into a series folder.`;
+    },
+    toastSeriesProgress: (count) => {
+      const value = Array.isArray(count) ? count[0] : count;
+      return `Reading series chapters (${value ?? 0} so far)...`;
+    },
+    dialogNovelSeriesTitle: "Download novel series",
+    dialogNovelSeriesSummary: (values) => {
+      const [count, title] = Array.isArray(values) ? values : [values];
+      return `Found ${count ?? ""} novels in “${title ?? ""}”. They will be saved in order into a series folder.`;
+    },
+    thumbnailCheckAriaLabel: "Select this work",
+    selectionBarDownload: (count) => {
+      const value = Array.isArray(count) ? count[0] : count;
+      return `Download ${value ?? 0} selected`;
+    },
+    selectionBarClear: "Clear",
+    overlaySyncAriaLabel: "Download new works since the last sync",
+    toastSyncProgress: (count) => {
+      const value = Array.isArray(count) ? count[0] : count;
+      return `Checking followed artists (${value ?? 0} new so far)...`;
+    },
+    toastSyncUpToDate: "No new works since the last sync.",
+    toastBatchCancelling: "Cancelling the batch download...",
+    toastBatchCancelled: (count) => {
+      const value = Array.isArray(count) ? count[0] : count;
+      return `Batch cancelled. ${value ?? 0} works were sent to the downloader.`;
+    },
+    toastBatchIdle: "No batch download is running in this tab.",
+    toastActionPause: "Pause",
+    toastActionResume: "Resume",
+    toastActionCancel: "Cancel",
+    toastDownloadsPaused: "Downloads paused.",
+    toastDownloadsResumed: "Downloads resumed.",
+    toastDownloadsCancelled: (count) => {
+      const value = Array.isArray(count) ? count[0] : count;
+      return `Cancelled ${value ?? 0} downloads.`;
+    },
+    toastJobFailed: (values) => {
+      const [failed, total] = Array.isArray(values) ? values : [values];
+      return `${failed ?? ""} of ${total ?? ""} files could not be downloaded.`;
+    },
+    toastRetryFailed: "Retry failed",
+    toastRetryQueued: (count) => {
+      const value = Array.isArray(count) ? count[0] : count;
+      return `Retrying ${value ?? ""} files...`;
+    },
+    overlayRankingAriaLabel: "Download the top works of this ranking",
+    dialogRankingTitle: "Download ranking",
+    dialogRankingSummary: (values) => {
+      const [count, mode, date] = Array.isArray(values) ? values : [values];
+      return `The top ${count ?? ""} works of the ${mode ?? ""} ranking for ${date ?? ""} will be saved under Ranking/${mode ?? ""}/${date ?? ""}.`;
+    },
+    toastRankingProgress: (count) => {
+      const value = Array.isArray(count) ? count[0] : count;
+      return `Reading the ranking (${value ?? 0} so far)...`;
+    },
+    dialogSearchTitle: "Download search results",
+    dialogSearchSummary: (values) => {
+      const [count, word] = Array.isArray(values) ? values : [values];
+      return `Found ${count ?? ""} works for “${word ?? ""}” with the current filters. Every page of each work will be downloaded.`;
+    },
+    toastSearchProgress: (count) => {
+      const value = Array.isArray(count) ? count[0] : count;
+      return `Reading search results (${value ?? 0} so far)...`;
+    },
+    toastBatchFiltered: (values) => {
+      const [count, skipped] = Array.isArray(values) ? values : [values];
+      return `${count ?? ""} works sent to the downloader, ${skipped ?? ""} below the bookmark minimum were skipped.`;
+    },
+    toastNovelQueued: "Novel sent to the downloader.",
     toastRangeEmpty: "The selected range contains no images.",
+    toastBatchBusy: "A batch download is already running in this tab.",
+    toastBatchEmpty: "No works were found to download.",
+    toastBookmarksProgress: (count) => {
+      const value = Array.isArray(count) ? count[0] : count;
+      return `Reading bookmarks (${value ?? 0} so far)...`;
+    },
+    toastBatchProgress: (values) => {
+      const [current, total] = Array.isArray(values) ? values : [values];
+      return `Preparing work ${current ?? ""} of ${total ?? ""}...`;
+    },
+    toastBatchDone: (count) => {
+      const value = Array.isArray(count) ? count[0] : count;
+      return `${value ?? ""} works sent to the downloader.`;
+    },
+    toastBatchPartial: (values) => {
+      const [count, failed] = Array.isArray(values) ? values : [values];
+      return `${count ?? ""} works sent to the downloader, ${failed ?? ""} could not be read.`;
+    },
     toastDownloadStartFailed: "The download couldn’t be started.",
     toastDownloadingCount: (count) => {
       const value = Array.isArray(count) ? count[0] : count;
@@ -34,7 +165,7 @@
     },
     errorNoIllustrationData: "The current page does not expose illustration data.",
     errorNoDownloadableImages: "No downloadable images were found on this artwork.",
-    errorUnsupportedPage: "This extension only supports Pixiv artwork detail pages.",
+    errorUnsupportedPage: "This extension only supports Pixiv artwork and user pages.",
     errorDataFetchFailed: "Pixiv data could not be retrieved.",
     errorPixivRequestFailed: (status) => {
       const value = Array.isArray(status) ? status[0] : status;
@@ -42,10 +173,15 @@
     },
     errorPixivResponse: "Pixiv returned an error.",
     errorNoAjaxBody: "Pixiv illustration data was not found.",
+    errorNoNovelText: "The novel text could not be found.",
     fallbackArtworkTitle: (illustId) => {
       const value = Array.isArray(illustId) ? illustId[0] : illustId;
       return `Pixiv Artwork ${value ?? ""}`;
     },
+    fallbackNovelTitle: (novelId) => {
+      const value = Array.isArray(novelId) ? novelId[0] : novelId;
+      return `Pixiv Novel ${value ?? ""}`;
+    },
     fallbackUnknownCreator: "Unknown Creator"
   };
 
@@ -70,7 +206,9 @@
     antiTheft: true,
     overlay: true,
     rootFolder: "Pixiv",
-    retryFailed: true
+    retryFailed: true,
+    searchLimit: 200,
+    rankingLimit: 50
   };
 
   let extensionSettings = { ...DEFAULT_SETTINGS };
@@ -203,6 +341,8 @@
   let attachScheduled = false;
   let pathWatcher = null;
   let toastTimer = null;
+  let lastCheckedIllustId = null;
+  const selectedIllustIds = new Set();
 
   let cachedIllustId = null;
   let cachedPayload = null;
@@ -235,6 +375,166 @@
     return match ? match[1] : null;
   }
 
+  function getUserPageInfo() {
+    const match = window.location.pathname.match(/\/users\/(\d+)(?:\/(illustrations|manga|artworks))?\/?$/);
+    if (!match) {
+      return null;
+    }
+    return { userId: match[1], category: match[2] || "all" };
+  }
+
+  function getBookmarksPageInfo() {
+    const match = window.location.pathname.match(/\/users\/(\d+)\/bookmarks\/artworks(?:\/([^/]+))?\/?$/);
+    if (!match) {
+      return null;
+    }
+
+    const rest = new URLSearchParams(window.location.search).get("rest") === "hide" ? "hide" : "show";
+    let tag = "";
+    try {
+      tag = match[2] ? decodeURIComponent(match[2]) : "";
+    } catch (err) {
+      tag = match[2] || "";
+    }
+    return { userId: match[1], tag, rest };
+  }
+
+  function getNovelId() {
+    if (!/\/novel\/show\.php$/.test(window.location.pathname)) {
+      return null;
+    }
+    const id = new URLSearchParams(window.location.search).get("id");
+    return id && /^\d+$/.test(id) ? id : null;
+  }
+
+  function getNovelSeriesPageInfo() {
+    const match = window.location.pathname.match(/\/novel\/series\/(\d+)\/?$/);
+    return match ? { seriesId: match[1] } : null;
+  }
+
+  function getSeriesPageInfo() {
+    const match = window.location.pathname.match(/\/user\/(\d+)\/series\/(\d+)\/?$/);
+    if (!match) {
+      return null;
+    }
+    return { userId: match[1], seriesId: match[2] };
+  }
+
+  function getSearchPageInfo() {
+    const match = window.location.pathname.match(/\/tags\/([^/]+)(?:\/(artworks|illustrations|manga))?\/?$/);
+    if (!match) {
+      return null;
+    }
+
+    let word = match[1];
+    try {
+      word = decodeURIComponent(match[1]);
+    } catch (err) {
+      word = match[1];
+    }
+    return { word, category: match[2] || "artworks", params: new URLSearchParams(window.location.search) };
+  }
+
+  function getRankingPageInfo() {
+    if (!/^\/(?:en\/)?ranking\.php$/.test(window.location.pathname)) {
+      return null;
+    }
+
+    const params = new URLSearchParams(window.location.search);
+    const date = params.get("date") || "";
+    return {
+      mode: params.get("mode") || "daily",
+      content: params.get("content") || "all",
+      date: /^\d{8}$/.test(date) ? date : ""
+    };
+  }
+
+  function isFollowingFeedPage() {
+    return /^\/(?:en\/)?bookmark_new_illust\.php$/.test(window.location.pathname);
+  }
+
+  function getBatchSource() {
+    if (isFollowingFeedPage()) {
+      return { type: "following" };
+    }
+
+    const ranking = getRankingPageInfo();
+    if (ranking) {
+      return { type: "ranking", ...ranking };
+    }
+
+    const search = getSearchPageInfo();
+    if (search) {
+      return { type: "search", ...search };
+    }
+
+    const novelId = getNovelId();
+    if (novelId) {
+      return { type: "novel", novelId };
+    }
+
+    const novelSeries = getNovelSeriesPageInfo();
+    if (novelSeries) {
+      return { type: "novelSeries", ...novelSeries };
+    }
+
+    const series = getSeriesPageInfo();
+    if (series) {
+      return { type: "series", ...series };
+    }
+
+    const bookmarks = getBookmarksPageInfo();
+    if (bookmarks) {
+      return { type: "bookmarks", ...bookmarks };
+    }
+
+    const user = getUserPageInfo();
+    if (user) {
+      return { type: "user", ...user };
+    }
+
+    return null;
+  }
+
+  function getOverlayLabel() {
+    if (!getIllustId()) {
+      const type = getBatchSource()?.type;
+      if (type === "following") return t("overlaySyncAriaLabel");
+      if (type === "ranking") return t("overlayRankingAriaLabel");
+      if (type === "search") return t("overlaySearchAriaLabel");
+      if (type === "novel") return t("overlayNovelAriaLabel");
+      if (type === "novelSeries") return t("overlayNovelSeriesAriaLabel");
+      if (type === "series") return t("overlaySeriesAriaLabel");
+      return type === "bookmarks" ? t("overlayBookmarksAriaLabel") : t("overlayUserAriaLabel");
+    }
+    return overlayButton?.classList.contains(DOWNLOADED_CLASS) ? t("overlayDownloadedAriaLabel") : t("overlayAriaLabel");
+  }
+
+  function setButtonDownloaded(state) {
+    if (!overlayButton) return;
+    overlayButton.classList.toggle(DOWNLOADED_CLASS, Boolean(state));
+    overlayButton.setAttribute("aria-label", getOverlayLabel());
+    overlayButton.title = state ? t("overlayDownloadedAriaLabel") : "";
+  }
+
+  async function refreshDownloadedState() {
+    const illustId = getIllustId();
+    if (!illustId || !overlayButton) {
+      return;
+    }
+
+    try {
+      const media = await collectPixivMedia();
+      const pages = media.success ? media.images.map(({ page, variant }) => ({ page, variant })) : undefined;
+      const response = await runtimeSendMessage({ type: "PIXIV_HISTORY_LOOKUP", payload: { illustIds: [illustId], pages } });
+      if (response && response.success && getIllustId() === illustId) {
+        setButtonDownloaded(response.downloaded.includes(illustId));
+      }
+    } catch (err) {
+      console.warn("Download history lookup failed", err);
+    }
+  }
+
   function applySettingsPatch(patch) {
     if (!patch || typeof patch !== "object") {
       return;
@@ -255,13 +555,13 @@
       if (extensionSettings.language && extensionSettings.language !== DEFAULT_LANGUAGE) {
         ensureLocaleBundle(extensionSettings.language).then(() => {
           if (overlayButton) {
-            overlayButton.setAttribute("aria-label", t("overlayAriaLabel"));
+            overlayButton.setAttribute("aria-label", getOverlayLabel());
           }
           scheduleAttach();
         });
       } else {
         if (overlayButton) {
-          overlayButton.setAttribute("aria-label", t("overlayAriaLabel"));
+          overlayButton.setAttribute("aria-label", getOverlayLabel());
         }
         scheduleAttach();
       }
@@ -269,6 +569,7 @@
 
     if (extensionSettings.overlay === false && previous.overlay !== false) {
       detachButton();
+      detachThumbnailChecks();
     } else if (extensionSettings.overlay !== false && previous.overlay === false) {
       scheduleAttach();
     }
@@ -382,6 +683,63 @@
     return result;
   }
 
+  function htmlToText(html) {
+    if (!html) {
+      return "";
+    }
+
+    const doc = new DOMParser().parseFromString(`<body>${String(html).replace(/<br\s*\/?>/gi, "\n")}</body>`, "text/html");
+    return (doc.body.textContent || "").trim();
+  }
+
+  function extractSeriesInfo(entry) {
+    const nav = entry?.seriesNavData;
+    if (!nav || !nav.seriesId) {
+      return null;
+    }
+
+    return {
+      id: String(nav.seriesId),
+      title: nav.title || "",
+      order: Number(nav.order) || null
+    };
+  }
+
+  function extractArtworkDetails(entry) {
+    if (!entry) {
+      return {};
+    }
+
+    const rawTags = Array.isArray(entry.tags?.tags) ? entry.tags.tags.filter((tag) => tag?.tag) : [];
+    const tagTranslations = {};
+    for (const tag of rawTags) {
+      const translation = tag.translation?.en;
+      if (translation) {
+        tagTranslations[tag.tag] = translation;
+      }
+    }
+
+    return {
+      userId: entry.userId ? String(entry.userId) : null,
+      uploadDate: entry.uploadDate || entry.createDate || null,
+      createDate: entry.createDate || null,
+      tags: rawTags.map((tag) => tag.tag),
+      tagTranslations,
+      caption: htmlToText(entry.illustComment || entry.description),
+      series: extractSeriesInfo(entry),
+      illustType: Number(entry.illustType) || 0,
+      pageCount: Number(entry.pageCount) || 1,
+      width: Number(entry.width) || null,
+      height: Number(entry.height) || null,
+      isOriginal: Boolean(entry.isOriginal),
+      bookmarkCount: Number(entry.bookmarkCount) || 0,
+      likeCount: Number(entry.likeCount) || 0,
+      viewCount: Number(entry.viewCount) || 0,
+      aiType: Number(entry.aiType) || 0,
+      xRestrict: Number(entry.xRestrict) || 0
+    };
+  }
+
   function collectIllustImages(illustId, data) {
     const illustEntry = data?.illust?.[illustId] || null;
     const mangaEntry = data?.illustManga?.[illustId] || null;
@@ -398,10 +756,10 @@
     const author = illustEntry?.userName || mangaEntry?.userName || t("fallbackUnknownCreator");
 
     const images = [];
-    const pushOriginal = (url, pageIndex, variant, extraFallbacks = []) => {
+    const pushOriginal = (url, pageIndex, variant, extraFallbacks = [], extra = {}) => {
       if (!url) return;
       const fallbacks = buildFallbackList(url, Array.isArray(extraFallbacks) ? extraFallbacks : [extraFallbacks]);
-      images.push({ url, page: pageIndex, variant, fallbacks });
+      images.push({ url, page: pageIndex, variant, fallbacks, ...extra });
     };
 
     if (illustEntry?.urls?.original) {
@@ -434,7 +792,8 @@
     }
 
     if (ugoiraEntry?.originalSrc) {
-      pushOriginal(ugoiraEntry.originalSrc, 0, "ugoira");
+      const frames = Array.isArray(ugoiraEntry.frames) ? ugoiraEntry.frames : null;
+      pushOriginal(ugoiraEntry.originalSrc, 0, "ugoira", [], frames ? { frames } : {});
     }
 
     const uniqueImages = dedupeUrls(images);
@@ -450,19 +809,34 @@
       illustId,
       title,
       author,
+      details: extractArtworkDetails(illustEntry || mangaEntry),
       images: uniqueImages
     };
   }
 
+  async function sendSchedulerMessage(type, payload) {
+    const response = await runtimeSendMessage({ type, payload });
+    if (!response || !response.success) {
+      throw new Error(response?.error || "scheduler-error");
+    }
+  }
+
+  const pixivRequests = globalThis.pixivScheduler.createRequestScheduler({
+    remote: {
+      acquire: (url) => sendSchedulerMessage("PIXIV_REQUEST_SLOT", { url }),
+      hold: (url, ms) => sendSchedulerMessage("PIXIV_REQUEST_HOLD", { url, ms })
+    }
+  });
+
   async function fetchPixivJson(url) {
-    const response = await fetch(url, {
+    const response = await pixivRequests.schedule(url, () => fetch(url, {
       credentials: "include",
       referrer: "https://www.pixiv.net/",
       mode: "cors",
       headers: {
         Accept: "application/json"
       }
-    });
+    }));
 
     if (!response.ok) {
       throw new Error(t("errorPixivRequestFailed", String(response.status)));
@@ -497,6 +871,22 @@
     illust[illustId] = {
       title,
       userName: author,
+      userId: body?.userId,
+      uploadDate: body?.uploadDate,
+      createDate: body?.createDate,
+      tags: body?.tags,
+      illustComment: body?.illustComment,
+      description: body?.description,
+      seriesNavData: body?.seriesNavData,
+      illustType: body?.illustType,
+      width: body?.width,
+      height: body?.height,
+      isOriginal: body?.isOriginal,
+      bookmarkCount: body?.bookmarkCount,
+      likeCount: body?.likeCount,
+      viewCount: body?.viewCount,
+      aiType: body?.aiType,
+      xRestrict: body?.xRestrict,
       urls,
       pageCount
     };
@@ -513,7 +903,12 @@
     const ugoiraSrc = ugoiraBody?.originalSrc || ugoiraBody?.src || ugoiraBody?.zipUrls?.medium || null;
 
     if (ugoiraSrc) {
-      ugoira[illustId] = { originalSrc: ugoiraSrc };
+      const frames = Array.isArray(ugoiraBody?.frames)
+        ? ugoiraBody.frames
+            .filter((frame) => frame && frame.file)
+            .map((frame) => ({ file: String(frame.file), delay: Number(frame.delay) || 100 }))
+        : [];
+      ugoira[illustId] = { originalSrc: ugoiraSrc, frames };
     }
 
     return { illust, illustManga, ugoira };
@@ -544,93 +939,453 @@
     return result;
   }
 
-  async function collectPixivMedia() {
-    const illustId = getIllustId();
-    if (!illustId) {
-      return {
-        success: false,
-        error: t("errorUnsupportedPage")
-      };
+  async function fetchUserProfile(userId) {
+    return fetchPixivJson(`https://www.pixiv.net/ajax/user/${userId}?lang=en`);
+  }
+
+  async function fetchUserProfileAll(userId) {
+    return fetchPixivJson(`https://www.pixiv.net/ajax/user/${userId}/profile/all?lang=en`);
+  }
+
+  function sortWorkIds(ids) {
+    return Array.from(new Set(ids.map((id) => String(id))))
+      .filter((id) => /^\d+$/.test(id))
+      .sort((a, b) => Number(b) - Number(a));
+  }
+
+  async function collectUserWorkIds(userId, category) {
+    const json = await fetchUserProfileAll(userId);
+    const body = json?.body || {};
+    const ids = [];
+
+    if (category !== "manga") {
+      ids.push(...Object.keys(body.illusts || {}));
+    }
+    if (category !== "illustrations") {
+      ids.push(...Object.keys(body.manga || {}));
     }
 
-    if (cachedIllustId === illustId && cachedPayload) {
-      return cachedPayload;
+    return sortWorkIds(ids);
+  }
+
+  async function fetchBookmarkTags(userId) {
+    return fetchPixivJson(`https://www.pixiv.net/ajax/user/${userId}/illusts/bookmark/tags?lang=en`);
+  }
+
+  async function fetchBookmarksPage(userId, { tag, rest, offset, limit }) {
+    const params = new URLSearchParams({
+      tag: tag || "",
+      offset: String(offset),
+      limit: String(limit),
+      rest,
+      lang: "en"
+    });
+    return fetchPixivJson(`https://www.pixiv.net/ajax/user/${userId}/illusts/bookmarks?${params}`);
+  }
+
+  async function collectBookmarkIds(userId, { tag, visibility }, onProgress) {
+    const restModes = visibility === "both" ? ["show", "hide"] : [visibility === "hide" ? "hide" : "show"];
+    const limit = 48;
+    const ids = [];
+
+    for (const rest of restModes) {
+      let offset = 0;
+      while (true) {
+        const json = await fetchBookmarksPage(userId, { tag, rest, offset, limit });
+        const works = Array.isArray(json?.body?.works) ? json.body.works : [];
+        for (const work of works) {
+          if (work && !work.isMasked && /^\d+$/.test(String(work.id))) {
+            ids.push(String(work.id));
+          }
+        }
+
+        onProgress?.(ids.length);
+        offset += limit;
+        const total = Number(json?.body?.total) || 0;
+        if (works.length < limit || offset >= total) {
+          break;
+        }
+      }
     }
 
-    if (inflightPromise && inflightIllustId === illustId) {
-      try {
-        const inflightResult = await inflightPromise;
-        if (inflightResult.success) {
-          cachedIllustId = illustId;
-          cachedPayload = inflightResult;
+    return Array.from(new Set(ids));
+  }
+
+  async function fetchSeriesPage(seriesId, page) {
+    return fetchPixivJson(`https://www.pixiv.net/ajax/series/${seriesId}?p=${page}&lang=en`);
+  }
+
+  async function collectSeriesChapters(seriesId, onProgress) {
+    const chapters = new Map();
+    let title = "";
+    let total = 0;
+
+    for (let page = 1; ; page += 1) {
+      const json = await fetchSeriesPage(seriesId, page);
+      const body = json?.body || {};
+      const info = (body.illustSeries || []).find((entry) => String(entry?.id) === String(seriesId));
+      title = title || info?.title || "";
+      total = Number(body.page?.total) || Number(info?.total) || total;
+
+      const entries = Array.isArray(body.page?.series) ? body.page.series : [];
+      for (const entry of entries) {
+        const workId = String(entry?.workId || "");
+        if (/^\d+$/.test(workId) && !chapters.has(workId)) {
+          chapters.set(workId, Number(entry.order) || chapters.size + 1);
         }
-        return inflightResult;
-      } catch (err) {
-        return { success: false, error: err?.message || t("errorDataFetchFailed") };
+      }
+
+      onProgress?.(chapters.size);
+      if (!entries.length || (total && chapters.size >= total)) {
+        break;
       }
     }
 
-    const promise = (async () => {
-      const { data } = parsePreloadData();
-      if (data) {
-        const metaResult = collectIllustImages(illustId, data);
-        if (metaResult.success) {
-          return metaResult;
+    const sorted = Array.from(chapters, ([illustId, chapter]) => ({ illustId, chapter }))
+      .sort((a, b) => a.chapter - b.chapter);
+    return { title, chapters: sorted };
+  }
+
+  const SEARCH_FILTER_PARAMS = ["order", "mode", "s_mode", "type", "scd", "ecd", "blt", "bgt", "wlt", "wgt", "hlt", "hgt", "ratio", "tool", "csw"];
+  const SEARCH_RESULT_KEYS = { artworks: "illustManga", illustrations: "illust", manga: "manga" };
+  const SEARCH_DEFAULT_TYPES = { artworks: "all", illustrations: "illust_and_ugoira", manga: "manga" };
+
+  async function fetchSearchPage({ word, category, params }, page) {
+    const query = new URLSearchParams({
+      word,
+      order: "date_d",
+      mode: "all",
+      s_mode: "s_tag",
+      type: SEARCH_DEFAULT_TYPES[category],
+      lang: "en"
+    });
+    for (const name of SEARCH_FILTER_PARAMS) {
+      const value = params.get(name);
+      if (value) {
+        query.set(name, value);
+      }
+    }
+    query.set("p", String(page));
+    return fetchPixivJson(`https://www.pixiv.net/ajax/search/${category}/${encodeURIComponent(word)}?${query}`);
+  }
+
+  async function collectSearchIds(info, limit, onProgress) {
+    const ids = new Set();
+
+    for (let page = 1; ids.size < limit; page += 1) {
+      const json = await fetchSearchPage(info, page);
+      const result = json?.body?.[SEARCH_RESULT_KEYS[info.category]] || {};
+      const works = Array.isArray(result.data) ? result.data : [];
+      for (const work of works) {
+        if (work && !work.isAdContainer && /^\d+$/.test(String(work.id))) {
+          ids.add(String(work.id));
         }
       }
 
-      return buildResultFromAjax(illustId);
-    })();
+      onProgress?.(ids.size);
+      if (!works.length || page >= (Number(result.lastPage) || page)) {
+        break;
+      }
+    }
 
-    inflightIllustId = illustId;
-    inflightPromise = promise;
+    return Array.from(ids).slice(0, limit);
+  }
 
-    try {
-      const result = await promise;
-      if (result.success) {
-        cachedIllustId = illustId;
-        cachedPayload = result;
+  async function fetchRankingPage({ mode, content, date }, page) {
+    const query = new URLSearchParams({ mode, format: "json", p: String(page) });
+    if (content !== "all") {
+      query.set("content", content);
+    }
+    if (date) {
+      query.set("date", date);
+    }
+    return fetchPixivJson(`https://www.pixiv.net/ranking.php?${query}`);
+  }
+
+  async function collectRankingEntries(info, limit, onProgress) {
+    const entries = [];
+    let date = info.date;
+
+    for (let page = 1; entries.length < limit; page += 1) {
+      const json = await fetchRankingPage(info, page);
+      date = json?.date || date;
+      const contents = Array.isArray(json?.contents) ? json.contents : [];
+      for (const item of contents) {
+        if (item && /^\d+$/.test(String(item.illust_id))) {
+          entries.push({ illustId: String(item.illust_id), rank: Number(item.rank) || entries.length + 1 });
+        }
       }
-      return result;
-    } catch (err) {
-      return { success: false, error: err?.message || t("errorDataFetchFailed") };
-    } finally {
-      if (inflightIllustId === illustId) {
-        inflightIllustId = null;
-        inflightPromise = null;
+
+      onProgress?.(entries.length);
+      if (!contents.length || !json?.next) {
+        break;
       }
     }
+
+    const formattedDate = /^\d{8}$/.test(String(date)) ? String(date).replace(/^(\d{4})(\d{2})(\d{2})$/, "$1-$2-$3") : "";
+    return { date: formattedDate, entries: entries.slice(0, limit) };
   }
 
-  function ensureStylesInjected() {
-    if (document.getElementById(STYLE_ID)) {
-      return;
+  const SYNC_MAX_FEED_PAGES = 50;
+
+  async function fetchFollowLatestPage(page) {
+    return fetchPixivJson(`https://www.pixiv.net/ajax/follow_latest/illust?p=${page}&mode=all&lang=en`);
+  }
+
+  function isAfterWatermark(illustId, userId, watermarks) {
+    return Number(illustId) > Number(watermarks[userId] || 0);
+  }
+
+  async function collectFollowingUpdates(watermarks, onProgress) {
+    const works = [];
+
+    for (let page = 1; page <= SYNC_MAX_FEED_PAGES; page += 1) {
+      const json = await fetchFollowLatestPage(page);
+      const thumbnails = Array.isArray(json?.body?.thumbnails?.illust) ? json.body.thumbnails.illust : [];
+      const fresh = thumbnails.filter(
+        (work) => work && /^\d+$/.test(String(work.id)) && isAfterWatermark(work.id, String(work.userId), watermarks)
+      );
+      works.push(...fresh.map((work) => ({ illustId: String(work.id), userId: String(work.userId) })));
+
+      onProgress?.(works.length);
+      if (!fresh.length || json?.body?.page?.isLastPage) {
+        break;
+      }
     }
 
-    const style = document.createElement("style");
-    style.id = STYLE_ID;
-    style.textContent = `
-[${HOST_ATTR}="true"] {
-  position: relative !important;
-}
-.${WRAPPER_CLASS} {
-  position: absolute;
-  top: 16px;
-  right: 16px;
-  z-index: 2147483645;
-  pointer-events: none;
-}
-.${BUTTON_CLASS} {
-  pointer-events: auto;
-  width: 44px;
-  height: 44px;
-  border-radius: 50%;
-  border: none;
-  display: flex;
-  align-items: center;
-  justify-content: center;
-  background: #1d9bf0;
-  color: #fff;
+    return works;
+  }
+
+  async function collectWatchlistUpdates(userIds, watermarks, onProgress) {
+    const works = [];
+
+    for (const userId of userIds) {
+      try {
+        const ids = await collectUserWorkIds(userId, "all");
+        const fresh = ids.filter((illustId) => isAfterWatermark(illustId, userId, watermarks));
+        works.push(...fresh.map((illustId) => ({ illustId, userId })));
+      } catch (err) {
+        console.warn("Failed to check Pixiv artist for updates", userId, err);
+      }
+      onProgress?.(works.length);
+    }
+
+    return works;
+  }
+
+  async function fetchNovelAjax(novelId) {
+    return fetchPixivJson(`https://www.pixiv.net/ajax/novel/${novelId}?lang=en`);
+  }
+
+  async function fetchNovelSeries(seriesId) {
+    return fetchPixivJson(`https://www.pixiv.net/ajax/novel/series/${seriesId}?lang=en`);
+  }
+
+  async function fetchNovelSeriesContents(seriesId, lastOrder) {
+    const params = new URLSearchParams({ limit: "30", last_order: String(lastOrder), order_by: "asc", lang: "en" });
+    return fetchPixivJson(`https://www.pixiv.net/ajax/novel/series_content/${seriesId}?${params}`);
+  }
+
+  async function collectNovelSeriesChapters(seriesId, onProgress) {
+    const seriesJson = await fetchNovelSeries(seriesId).catch(() => null);
+    const chapters = new Map();
+
+    while (true) {
+      const json = await fetchNovelSeriesContents(seriesId, chapters.size);
+      const contents = Array.isArray(json?.body?.page?.seriesContents) ? json.body.page.seriesContents : [];
+      for (const entry of contents) {
+        const novelId = String(entry?.id || "");
+        if (/^\d+$/.test(novelId) && !chapters.has(novelId)) {
+          chapters.set(novelId, Number(entry.series?.contentOrder) || chapters.size + 1);
+        }
+      }
+
+      onProgress?.(chapters.size);
+      if (contents.length < 30) {
+        break;
+      }
+    }
+
+    const sorted = Array.from(chapters, ([novelId, chapter]) => ({ novelId, chapter }))
+      .sort((a, b) => a.chapter - b.chapter);
+    return { title: seriesJson?.body?.title || "", chapters: sorted };
+  }
+
+  async function resolveNovelEmbeds(body) {
+    const embeds = {};
+    for (const [id, image] of Object.entries(body?.textEmbeddedImages || {})) {
+      const url = image?.urls?.original || image?.urls?.["1200x1200"];
+      if (url) {
+        embeds[`uploadedimage:${id}`] = url;
+      }
+    }
+
+    const illustIds = new Set();
+    for (const match of (body?.content || "").matchAll(/\[pixivimage:(\d+)(?:-\d+)?\]/g)) {
+      illustIds.add(match[1]);
+    }
+
+    for (const illustId of illustIds) {
+      try {
+        const json = await fetchPixivJson(`https://www.pixiv.net/ajax/illust/${illustId}/pages?lang=en`);
+        const pages = Array.isArray(json?.body) ? json.body : [];
+        pages.forEach((page, index) => {
+          const url = page?.urls?.original || page?.urls?.regular;
+          if (url) {
+            embeds[`pixivimage:${illustId}-${index + 1}`] = url;
+          }
+        });
+      } catch (err) {
+        console.warn("Failed to resolve embedded Pixiv image", illustId, err);
+      }
+    }
+
+    return embeds;
+  }
+
+  async function fetchNovelBody(novelId) {
+    const json = await fetchNovelAjax(novelId);
+    const body = json?.body;
+    if (!body || typeof body.content !== "string") {
+      throw new Error(t("errorNoNovelText"));
+    }
+    return body;
+  }
+
+  async function buildNovelPayload(novelId, body) {
+    return {
+      novelId: String(body.id || novelId),
+      title: body.title || t("fallbackNovelTitle", novelId),
+      author: body.userName || t("fallbackUnknownCreator"),
+      details: extractArtworkDetails(body),
+      content: body.content,
+      coverUrl: body.coverUrl || null,
+      language: body.language || "ja",
+      embeds: await resolveNovelEmbeds(body)
+    };
+  }
+
+  async function resolveWork(kind, id) {
+    if (kind === "novel") {
+      return buildNovelPayload(id, await fetchNovelBody(id));
+    }
+
+    const result = await buildResultFromAjax(id);
+    return {
+      illustId: result.illustId,
+      title: result.title,
+      author: result.author,
+      details: result.details,
+      images: result.images
+    };
+  }
+
+  async function queueNovelForDownload(novelId, extras = {}, body = null) {
+    const payload = await buildNovelPayload(novelId, body || await fetchNovelBody(novelId));
+    const response = await runtimeSendMessage({
+      type: "PIXIV_DOWNLOAD_NOVEL",
+      payload: { ...payload, ...extras }
+    });
+    if (!response || response.success === false) {
+      throw new Error(response?.error || t("toastDownloadStartFailed"));
+    }
+    return payload;
+  }
+
+  async function collectPixivMedia() {
+    const illustId = getIllustId();
+    if (!illustId) {
+      return {
+        success: false,
+        error: t("errorUnsupportedPage")
+      };
+    }
+
+    if (cachedIllustId === illustId && cachedPayload) {
+      return cachedPayload;
+    }
+
+    if (inflightPromise && inflightIllustId === illustId) {
+      try {
+        const inflightResult = await inflightPromise;
+        if (inflightResult.success) {
+          cachedIllustId = illustId;
+          cachedPayload = inflightResult;
+        }
+        return inflightResult;
+      } catch (err) {
+        return { success: false, error: err?.message || t("errorDataFetchFailed") };
+      }
+    }
+
+    const promise = (async () => {
+      const { data } = parsePreloadData();
+      const isUgoira = Number(data?.illust?.[illustId]?.illustType) === 2;
+      if (data && (!isUgoira || data.ugoira?.[illustId])) {
+        const metaResult = collectIllustImages(illustId, data);
+        if (metaResult.success) {
+          return metaResult;
+        }
+      }
+
+      return buildResultFromAjax(illustId);
+    })();
+
+    inflightIllustId = illustId;
+    inflightPromise = promise;
+
+    try {
+      const result = await promise;
+      if (result.success) {
+        cachedIllustId = illustId;
+        cachedPayload = result;
+      }
+      return result;
+    } catch (err) {
+      return { success: false, error: err?.message || t("errorDataFetchFailed") };
+    } finally {
+      if (inflightIllustId === illustId) {
+        inflightIllustId = null;
+        inflightPromise = null;
+      }
+    }
+  }
+
+  function ensureStylesInjected() {
+    if (document.getElementById(STYLE_ID)) {
+      return;
+    }
+
+    const style = document.createElement("style");
+    style.id = STYLE_ID;
+    style.textContent = `
+[${HOST_ATTR}="true"] {
+  position: relative !important;
+}
+.${WRAPPER_CLASS} {
+  position: absolute;
+  top: 16px;
+  right: 16px;
+  z-index: 2147483645;
+  pointer-events: none;
+}
+.${WRAPPER_CLASS}.${FLOATING_CLASS} {
+  position: fixed;
+  top: auto;
+  bottom: 24px;
+  right: 24px;
+}
+.${BUTTON_CLASS} {
+  pointer-events: auto;
+  width: 44px;
+  height: 44px;
+  border-radius: 50%;
+  border: none;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  background: #1d9bf0;
+  color: #fff;
   box-shadow: 0 4px 16px rgba(0, 0, 0, 0.25);
   cursor: pointer;
   transition: transform 0.16s ease, box-shadow 0.16s ease, background 0.2s ease;
@@ -650,6 +1405,12 @@
   height: 22px;
   fill: currentColor;
 }
+.${BUTTON_CLASS}.${DOWNLOADED_CLASS} {
+  background: #16a34a;
+}
+.${BUTTON_CLASS}.${DOWNLOADED_CLASS}:hover {
+  background: #15803d;
+}
 .${BUTTON_CLASS}.pixiv-bulk-busy svg {
   animation: pixiv-bulk-spin 0.9s linear infinite;
 }
@@ -657,6 +1418,62 @@
   from { transform: rotate(0deg); }
   to { transform: rotate(360deg); }
 }
+.${CHECK_CLASS} {
+  position: absolute;
+  top: 6px;
+  left: 6px;
+  z-index: 2;
+  width: 26px;
+  height: 26px;
+  padding: 0;
+  border-radius: 6px;
+  border: 2px solid rgba(255, 255, 255, 0.9);
+  background: rgba(15, 23, 42, 0.45);
+  color: transparent;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  cursor: pointer;
+  opacity: 0;
+  transition: opacity 0.16s ease, background 0.16s ease;
+}
+a:hover > .${CHECK_CLASS},
+.${CHECK_CLASS}:focus-visible,
+.${CHECK_CLASS}.${CHECKED_CLASS} {
+  opacity: 1;
+}
+.${CHECK_CLASS}.${CHECKED_CLASS} {
+  background: #1d9bf0;
+  border-color: #1d9bf0;
+  color: #fff;
+}
+.${CHECK_CLASS} svg {
+  width: 18px;
+  height: 18px;
+  fill: currentColor;
+}
+.pixiv-bulk-selection-bar {
+  position: fixed;
+  left: 50%;
+  bottom: 24px;
+  transform: translateX(-50%);
+  display: flex;
+  gap: 10px;
+  padding: 10px;
+  border-radius: 999px;
+  background: rgba(15, 23, 42, 0.92);
+  box-shadow: 0 8px 24px rgba(0, 0, 0, 0.35);
+  z-index: 2147483645;
+  font-family: "Segoe UI", "Helvetica Neue", sans-serif;
+}
+.pixiv-bulk-selection-bar button {
+  padding: 8px 16px;
+  border-radius: 999px;
+  border: none;
+  cursor: pointer;
+  font-weight: 600;
+  font-size: 14px;
+}
 .pixiv-bulk-dialog-backdrop {
   position: fixed;
   inset: 0;
@@ -701,15 +1518,13 @@
 .pixiv-bulk-option input[type="radio"] {
   margin-top: 2px;
 }
-.pixiv-bulk-range-inputs {
-  display: flex;
-  align-items: center;
-  gap: 8px;
-  margin-top: 8px;
+.pixiv-bulk-dialog.pixiv-bulk-dialog--wide {
+  max-width: 560px;
+}
+.pixiv-bulk-pages-field {
   margin-left: 26px;
 }
-.pixiv-bulk-range-inputs input[type="number"] {
-  width: 72px;
+.pixiv-bulk-field input[type="text"] {
   padding: 6px 8px;
   border-radius: 8px;
   border: 1px solid rgba(148, 163, 184, 0.4);
@@ -717,8 +1532,62 @@
   color: #f8fafc;
   font-size: 14px;
 }
-.pixiv-bulk-range-inputs span {
-  color: #94a3b8;
+.pixiv-bulk-page-grid {
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(76px, 1fr));
+  gap: 8px;
+  max-height: 300px;
+  overflow-y: auto;
+  margin-top: 12px;
+  padding: 2px;
+}
+.pixiv-bulk-page {
+  position: relative;
+  aspect-ratio: 1;
+  padding: 0;
+  border-radius: 8px;
+  border: 2px solid transparent;
+  background: rgba(30, 41, 59, 0.8);
+  overflow: hidden;
+  cursor: pointer;
+  opacity: 0.45;
+  transition: opacity 0.16s ease, border-color 0.16s ease;
+}
+.pixiv-bulk-page img {
+  width: 100%;
+  height: 100%;
+  object-fit: cover;
+  display: block;
+}
+.pixiv-bulk-page span {
+  position: absolute;
+  left: 4px;
+  bottom: 4px;
+  padding: 1px 6px;
+  border-radius: 999px;
+  background: rgba(15, 23, 42, 0.8);
+  color: #f8fafc;
+  font-size: 11px;
+  font-weight: 600;
+}
+.pixiv-bulk-page.pixiv-bulk-page--selected {
+  opacity: 1;
+  border-color: #1d9bf0;
+}
+.pixiv-bulk-field {
+  display: flex;
+  flex-direction: column;
+  gap: 6px;
+  margin-top: 4px;
+  font-size: 14px;
+}
+.pixiv-bulk-field select {
+  padding: 6px 8px;
+  border-radius: 8px;
+  border: 1px solid rgba(148, 163, 184, 0.4);
+  background: rgba(30, 41, 59, 0.8);
+  color: #f8fafc;
+  font-size: 14px;
 }
 .pixiv-bulk-dialog-actions {
   display: flex;
@@ -776,6 +1645,20 @@
 .pixiv-bulk-toast--success {
   background: rgba(22, 163, 74, 0.92);
 }
+.pixiv-bulk-toast__action {
+  margin-left: 12px;
+  padding: 2px 10px;
+  border: 1px solid rgba(248, 250, 252, 0.6);
+  border-radius: 999px;
+  background: transparent;
+  color: inherit;
+  font: inherit;
+  font-weight: 600;
+  cursor: pointer;
+}
+.pixiv-bulk-toast__action:hover {
+  background: rgba(248, 250, 252, 0.16);
+}
 @keyframes pixiv-bulk-toast-in {
   from { opacity: 0; transform: translate(-50%, -12px); }
   to { opacity: 1; transform: translate(-50%, 0); }
@@ -829,7 +1712,7 @@
     const button = document.createElement("button");
     button.type = "button";
     button.className = BUTTON_CLASS;
-    button.setAttribute("aria-label", t("overlayAriaLabel"));
+    button.setAttribute("aria-label", getOverlayLabel());
     button.innerHTML =
       '<svg viewBox="0 0 24 24" aria-hidden="true" focusable="false"><path d="M12 3a7 7 0 00-7 7h2a5 5 0 0110 0h2a7 7 0 00-7-7zm-6 8h2l4 4 4-4h2l-6 6-6-6zm-1 3h2v5h12v-5h2v7H5z"/></svg>';
     return button;
@@ -858,13 +1741,17 @@
 
     const illustId = getIllustId();
     if (!illustId) {
-      detachButton();
       cachedIllustId = null;
       cachedPayload = null;
+    }
+
+    const floating = !illustId && Boolean(getBatchSource());
+    if (!illustId && !floating) {
+      detachButton();
       return;
     }
 
-    const container = findPrimaryImageContainer();
+    const container = floating ? document.body : findPrimaryImageContainer();
     if (!container) {
       detachButton();
       return;
@@ -879,58 +1766,213 @@
     }
 
     ensureStylesInjected();
-    ensureHostPosition(container);
+    if (!floating) {
+      ensureHostPosition(container);
+    }
 
     overlayHost = container;
     overlayWrapper = document.createElement("div");
-    overlayWrapper.className = WRAPPER_CLASS;
+    overlayWrapper.className = floating ? `${WRAPPER_CLASS} ${FLOATING_CLASS}` : WRAPPER_CLASS;
     overlayButton = createOverlayButton();
     overlayWrapper.appendChild(overlayButton);
     container.appendChild(overlayWrapper);
     overlayButton.addEventListener("click", handleOverlayClick);
+    refreshDownloadedState();
   }
 
-  function scheduleAttach() {
-    if (attachScheduled) {
+  function getThumbnailIllustId(anchor) {
+    const match = anchor.getAttribute("href")?.match(/\/artworks\/(\d+)/);
+    return match ? match[1] : null;
+  }
+
+  function findThumbnailAnchors() {
+    return Array.from(document.querySelectorAll('a[href*="/artworks/"]')).filter(
+      (anchor) => getThumbnailIllustId(anchor) && anchor.querySelector('img[src*="i.pximg.net"]') && isElementVisible(anchor)
+    );
+  }
+
+  function syncThumbnailCheck(check) {
+    const checked = selectedIllustIds.has(check.dataset.illustId);
+    check.setAttribute("aria-checked", String(checked));
+    check.setAttribute("aria-label", t("thumbnailCheckAriaLabel"));
+    check.classList.toggle(CHECKED_CLASS, checked);
+  }
+
+  function createThumbnailCheck() {
+    const check = document.createElement("button");
+    check.type = "button";
+    check.className = CHECK_CLASS;
+    check.setAttribute("role", "checkbox");
+    check.innerHTML =
+      '<svg viewBox="0 0 24 24" aria-hidden="true" focusable="false"><path d="M9.5 16.2L5.3 12l-1.4 1.4 5.6 5.6 11-11-1.4-1.4z"/></svg>';
+    check.addEventListener("click", handleThumbnailCheckClick);
+    return check;
+  }
+
+  function attachThumbnailChecks() {
+    if (extensionSettings.overlay === false) {
       return;
     }
 
-    attachScheduled = true;
-    requestAnimationFrame(() => {
-      attachScheduled = false;
-      try {
-        attachButtonIfNeeded();
-      } catch (err) {
-        console.error("Pixiv bulk button attach failed", err);
+    for (const anchor of findThumbnailAnchors()) {
+      const illustId = getThumbnailIllustId(anchor);
+      let check = anchor.querySelector(`:scope > .${CHECK_CLASS}`);
+      if (!check) {
+        ensureStylesInjected();
+        ensureHostPosition(anchor);
+        check = createThumbnailCheck();
+        anchor.appendChild(check);
+      } else if (check.dataset.illustId === illustId) {
+        continue;
       }
+      check.dataset.illustId = illustId;
+      syncThumbnailCheck(check);
+    }
+  }
+
+  function refreshThumbnailChecks() {
+    document.querySelectorAll(`.${CHECK_CLASS}`).forEach(syncThumbnailCheck);
+    renderSelectionBar();
+  }
+
+  function clearThumbnailSelection() {
+    selectedIllustIds.clear();
+    lastCheckedIllustId = null;
+    refreshThumbnailChecks();
+  }
+
+  function detachThumbnailChecks() {
+    document.querySelectorAll(`.${CHECK_CLASS}`).forEach((check) => {
+      check.removeEventListener("click", handleThumbnailCheckClick);
+      restoreHostPosition(check.parentElement);
+      check.remove();
     });
+    clearThumbnailSelection();
   }
 
-  function showToast(message, variant = "info") {
-    if (!message) return;
-    ensureStylesInjected();
+  function getThumbnailOrder() {
+    const ids = Array.from(document.querySelectorAll(`.${CHECK_CLASS}`), (check) => check.dataset.illustId);
+    return Array.from(new Set(ids));
+  }
 
-    if (toastTimer) {
-      clearTimeout(toastTimer);
-      toastTimer = null;
+  function handleThumbnailCheckClick(event) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const illustId = event.currentTarget.dataset.illustId;
+    const checked = !selectedIllustIds.has(illustId);
+    let targets = [illustId];
+
+    if (event.shiftKey && lastCheckedIllustId && lastCheckedIllustId !== illustId) {
+      const order = getThumbnailOrder();
+      const from = order.indexOf(lastCheckedIllustId);
+      const to = order.indexOf(illustId);
+      if (from !== -1 && to !== -1) {
+        targets = order.slice(Math.min(from, to), Math.max(from, to) + 1);
+      }
     }
 
-    const existing = document.getElementById(TOAST_ID);
-    if (existing) {
-      existing.remove();
+    for (const id of targets) {
+      if (checked) {
+        selectedIllustIds.add(id);
+      } else {
+        selectedIllustIds.delete(id);
+      }
     }
+    lastCheckedIllustId = illustId;
+    refreshThumbnailChecks();
+  }
 
-    const toast = document.createElement("div");
-    toast.id = TOAST_ID;
-    toast.className = "pixiv-bulk-toast";
-    if (variant === "error") {
+  function renderSelectionBar() {
+    let bar = document.getElementById(SELECTION_BAR_ID);
+    if (!selectedIllustIds.size) {
+      bar?.remove();
+      return;
+    }
+
+    if (!bar) {
+      ensureStylesInjected();
+      bar = document.createElement("div");
+      bar.id = SELECTION_BAR_ID;
+      bar.className = "pixiv-bulk-selection-bar";
+      bar.innerHTML =
+        '<button type="button" class="pixiv-bulk-cancel"></button><button type="button" class="pixiv-bulk-confirm"></button>';
+      bar.querySelector(".pixiv-bulk-cancel").addEventListener("click", clearThumbnailSelection);
+      bar.querySelector(".pixiv-bulk-confirm").addEventListener("click", downloadSelectedThumbnails);
+      document.body.appendChild(bar);
+    }
+
+    bar.querySelector(".pixiv-bulk-cancel").textContent = t("selectionBarClear");
+    bar.querySelector(".pixiv-bulk-confirm").textContent = t("selectionBarDownload", String(selectedIllustIds.size));
+  }
+
+  function downloadSelectedThumbnails() {
+    const illustIds = Array.from(selectedIllustIds);
+    return runBatchDownload(async () => {
+      clearThumbnailSelection();
+      return { illustIds, confirm: false };
+    });
+  }
+
+  function scheduleAttach() {
+    if (attachScheduled) {
+      return;
+    }
+
+    attachScheduled = true;
+    requestAnimationFrame(() => {
+      attachScheduled = false;
+      try {
+        attachButtonIfNeeded();
+        attachThumbnailChecks();
+      } catch (err) {
+        console.error("Pixiv bulk button attach failed", err);
+      }
+    });
+  }
+
+  function showToast(message, variant = "info", actions = [], duration = null) {
+    if (!message) return;
+    ensureStylesInjected();
+
+    if (toastTimer) {
+      clearTimeout(toastTimer);
+      toastTimer = null;
+    }
+
+    const existing = document.getElementById(TOAST_ID);
+    if (existing) {
+      existing.remove();
+    }
+
+    const toast = document.createElement("div");
+    toast.id = TOAST_ID;
+    toast.className = "pixiv-bulk-toast";
+    if (variant === "error") {
       toast.classList.add("pixiv-bulk-toast--error");
     } else if (variant === "success") {
       toast.classList.add("pixiv-bulk-toast--success");
     }
     toast.textContent = message;
+    for (const action of actions) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "pixiv-bulk-toast__action";
+      button.textContent = action.label;
+      button.addEventListener("click", () => {
+        clearTimeout(toastTimer);
+        toastTimer = null;
+        toast.remove();
+        action.onClick();
+      });
+      toast.appendChild(button);
+    }
     document.body.appendChild(toast);
 
+    const timeout = duration ?? (actions.length ? 8000 : 3200);
+    if (!timeout) {
+      return;
+    }
     toastTimer = setTimeout(() => {
       toast.style.transition = "opacity 0.25s ease, transform 0.25s ease";
       toast.style.opacity = "0";
@@ -938,7 +1980,44 @@
       setTimeout(() => {
         toast.remove();
       }, 280);
-    }, 3200);
+    }, timeout);
+  }
+
+  function showJobFailedToast({ jobId, failed, total }) {
+    showToast(t("toastJobFailed", [String(failed), String(total)]), "error", [{
+      label: t("toastRetryFailed"),
+      onClick: async () => {
+        try {
+          const response = await runtimeSendMessage({ type: "PIXIV_JOB_CONTROL", payload: { jobId, action: "retry" } });
+          if (!response || !response.success) {
+            throw new Error(response?.error || t("toastDownloadStartFailed"));
+          }
+          showToast(t("toastRetryQueued", String(failed)), "success");
+        } catch (err) {
+          showToast(err?.message || t("toastDownloadStartFailed"), "error");
+        }
+      }
+    }]);
+  }
+
+  async function sendBatchControl(type) {
+    try {
+      const response = await runtimeSendMessage({ type });
+      if (!response || !response.success) {
+        throw new Error(response?.error || t("toastDownloadStartFailed"));
+      }
+    } catch (err) {
+      showToast(err?.message || t("toastDownloadStartFailed"), "error");
+    }
+  }
+
+  function getBatchToastActions() {
+    return [
+      batchPaused
+        ? { label: t("toastActionResume"), onClick: () => sendBatchControl("PIXIV_BATCH_RESUME") }
+        : { label: t("toastActionPause"), onClick: () => sendBatchControl("PIXIV_BATCH_PAUSE") },
+      { label: t("toastActionCancel"), onClick: () => sendBatchControl("PIXIV_BATCH_CANCEL") }
+    ];
   }
 
   function setButtonBusy(state) {
@@ -948,6 +2027,11 @@
   }
 
   function applySelection(images, selection) {
+    if (selection?.mode === "pages") {
+      const pages = new Set(selection.pages || []);
+      return images.filter((image, index) => pages.has(index + 1));
+    }
+
     if (!selection || selection.mode !== "range") {
       return images.slice();
     }
@@ -964,31 +2048,90 @@
     return { start, end };
   }
 
+  function parsePageSpec(text, total) {
+    const pages = new Set();
+    const parts = String(text || "").split(/[,\s]+/).filter(Boolean);
+
+    for (const part of parts) {
+      const match = part.match(/^(\d*)(-?)(\d*)$/);
+      if (!match || (!match[1] && !match[3])) {
+        return null;
+      }
+
+      const start = match[1] ? Number(match[1]) : 1;
+      const end = match[2] ? (match[3] ? Number(match[3]) : total) : start;
+      if (start < 1 || start > end) {
+        return null;
+      }
+
+      for (let page = start; page <= Math.min(end, total); page += 1) {
+        pages.add(page);
+      }
+    }
+
+    return Array.from(pages).sort((a, b) => a - b);
+  }
+
+  function formatPageSpec(pages, total) {
+    const parts = [];
+    for (let i = 0; i < pages.length; i += 1) {
+      const start = pages[i];
+      while (pages[i + 1] === pages[i] + 1) {
+        i += 1;
+      }
+      const end = pages[i];
+      if (start === end) {
+        parts.push(String(start));
+      } else {
+        parts.push(end === total && start > 1 ? `${start}-` : `${start}-${end}`);
+      }
+    }
+    return parts.join(",");
+  }
+
+  function getPageThumbnail(image) {
+    const candidates = [image?.url, ...(image?.fallbacks || [])].filter(Boolean);
+    return (
+      candidates.find((url) => /\/c\/\d+x\d+/.test(url)) ||
+      candidates.find((url) => url.includes("/img-master/")) ||
+      ""
+    );
+  }
+
+  function getSelectionPages(selection, total) {
+    if (selection?.mode === "pages" && Array.isArray(selection.pages)) {
+      return selection.pages.filter((page) => page >= 1 && page <= total);
+    }
+    const start = Math.min(total, Math.max(1, Math.floor(Number(selection?.start) || 1)));
+    const end = Math.min(total, Math.max(start, Math.floor(Number(selection?.end) || total)));
+    return Array.from({ length: end - start + 1 }, (value, index) => start + index);
+  }
+
   function promptSelection(meta, defaults = {}) {
     ensureStylesInjected();
 
     return new Promise((resolve) => {
+      const total = meta.images.length;
       const backdrop = document.createElement("div");
       backdrop.className = "pixiv-bulk-dialog-backdrop";
 
       const dialog = document.createElement("div");
-      dialog.className = "pixiv-bulk-dialog";
+      dialog.className = "pixiv-bulk-dialog pixiv-bulk-dialog--wide";
       dialog.innerHTML = `
         <h2>${t("dialogTitle")}</h2>
-        <p>${t("dialogSummary", meta.images.length.toString())}</p>
+        <p>${t("dialogSummary", total.toString())}</p>
         <label class="pixiv-bulk-option">
           <input type="radio" name="pixiv-bulk-mode" value="all" checked />
           <span>${t("dialogOptionAll")}</span>
         </label>
         <label class="pixiv-bulk-option">
-          <input type="radio" name="pixiv-bulk-mode" value="range" />
+          <input type="radio" name="pixiv-bulk-mode" value="pages" />
           <span>${t("dialogOptionRange")}</span>
         </label>
-        <div class="pixiv-bulk-range-inputs">
-          <input type="number" class="pixiv-bulk-range-start" min="1" max="${meta.images.length}" value="1" />
-          <span>–</span>
-          <input type="number" class="pixiv-bulk-range-end" min="1" max="${meta.images.length}" value="${meta.images.length}" />
+        <div class="pixiv-bulk-field pixiv-bulk-pages-field">
+          <input type="text" class="pixiv-bulk-pages-input" placeholder="${t("dialogPagesPlaceholder")}" autocomplete="off" spellcheck="false" />
         </div>
+        <div class="pixiv-bulk-page-grid"></div>
         <div class="pixiv-bulk-error" aria-live="assertive"></div>
         <div class="pixiv-bulk-dialog-actions">
           <button type="button" class="pixiv-bulk-cancel">${t("dialogButtonCancel")}</button>
@@ -996,41 +2139,109 @@
         </div>
       `;
 
-      backdrop.appendChild(dialog);
-      document.body.appendChild(backdrop);
-
-      const startInput = dialog.querySelector(".pixiv-bulk-range-start");
-      const endInput = dialog.querySelector(".pixiv-bulk-range-end");
+      const pagesInput = dialog.querySelector(".pixiv-bulk-pages-input");
+      const grid = dialog.querySelector(".pixiv-bulk-page-grid");
       const errorEl = dialog.querySelector(".pixiv-bulk-error");
       const radioAll = dialog.querySelector('input[value="all"]');
-      const radioRange = dialog.querySelector('input[value="range"]');
+      const radioPages = dialog.querySelector('input[value="pages"]');
+
+      const defaultMode = (defaults.mode === "range" || defaults.mode === "pages") && total > 1 ? "pages" : "all";
+      let selected = new Set(getSelectionPages(defaults, total));
+      let lastToggled = null;
+
+      const tiles = meta.images.map((image, index) => {
+        const tile = document.createElement("button");
+        tile.type = "button";
+        tile.className = "pixiv-bulk-page";
+        tile.dataset.page = String(index + 1);
+        tile.setAttribute("aria-label", t("dialogPageAriaLabel", String(index + 1)));
+        const thumbnail = getPageThumbnail(image);
+        if (thumbnail) {
+          const img = document.createElement("img");
+          img.src = thumbnail;
+          img.alt = "";
+          img.loading = "lazy";
+          tile.appendChild(img);
+        }
+        const label = document.createElement("span");
+        label.textContent = String(index + 1);
+        tile.appendChild(label);
+        grid.appendChild(tile);
+        return tile;
+      });
 
-      const total = meta.images.length;
-      const defaultStart = Math.min(total, Math.max(1, Math.floor(Number(defaults.start) || 1)));
-      const defaultEnd = Math.min(total, Math.max(defaultStart, Math.floor(Number(defaults.end) || total)));
-      const defaultMode = defaults.mode === "range" && total > 1 ? "range" : "all";
+      function renderTiles() {
+        tiles.forEach((tile, index) => {
+          const checked = radioAll.checked || selected.has(index + 1);
+          tile.classList.toggle("pixiv-bulk-page--selected", checked);
+          tile.setAttribute("aria-pressed", String(checked));
+        });
+      }
+
+      function syncInputFromSelection() {
+        pagesInput.value = formatPageSpec(Array.from(selected).sort((a, b) => a - b), total);
+        errorEl.textContent = "";
+      }
 
-      startInput.value = defaultStart.toString();
-      endInput.value = defaultEnd.toString();
+      function selectPagesMode() {
+        if (!radioPages.checked) {
+          radioPages.checked = true;
+          radioAll.checked = false;
+        }
+      }
 
-      if (defaultMode === "range") {
-        radioRange.checked = true;
+      if (defaultMode === "pages") {
+        radioPages.checked = true;
         radioAll.checked = false;
       }
+      syncInputFromSelection();
+      renderTiles();
 
-      function updateRangeDisabled() {
-        const isRange = radioRange.checked;
-        startInput.disabled = !isRange;
-        endInput.disabled = !isRange;
-        if (!isRange) {
+      radioAll.addEventListener("change", () => {
+        errorEl.textContent = "";
+        renderTiles();
+      });
+      radioPages.addEventListener("change", renderTiles);
+
+      pagesInput.addEventListener("input", () => {
+        selectPagesMode();
+        const pages = parsePageSpec(pagesInput.value, total);
+        if (pages) {
+          selected = new Set(pages);
           errorEl.textContent = "";
         }
-      }
+        renderTiles();
+      });
 
-      updateRangeDisabled();
+      grid.addEventListener("click", (evt) => {
+        const tile = evt.target.closest(".pixiv-bulk-page");
+        if (!tile) {
+          return;
+        }
+
+        if (radioAll.checked) {
+          selected = new Set(Array.from({ length: total }, (value, index) => index + 1));
+          selectPagesMode();
+        }
+
+        const page = Number(tile.dataset.page);
+        const checked = !selected.has(page);
+        const from = evt.shiftKey && lastToggled ? Math.min(lastToggled, page) : page;
+        const to = evt.shiftKey && lastToggled ? Math.max(lastToggled, page) : page;
+        for (let current = from; current <= to; current += 1) {
+          if (checked) {
+            selected.add(current);
+          } else {
+            selected.delete(current);
+          }
+        }
+        lastToggled = page;
+        syncInputFromSelection();
+        renderTiles();
+      });
 
-      radioAll.addEventListener("change", updateRangeDisabled);
-      radioRange.addEventListener("change", updateRangeDisabled);
+      backdrop.appendChild(dialog);
+      document.body.appendChild(backdrop);
 
       function cleanup(result) {
         document.removeEventListener("keydown", onKeyDown, true);
@@ -1056,24 +2267,23 @@
           return;
         }
 
-        const start = Number(startInput.value);
-        const end = Number(endInput.value);
-        if (Number.isNaN(start) || Number.isNaN(end)) {
+        const pages = parsePageSpec(pagesInput.value, total);
+        if (!pages) {
           errorEl.textContent = t("dialogErrorInvalidNumbers");
           return;
         }
-
-        const min = 1;
-        const max = meta.images.length;
-        const clampedStart = Math.min(Math.max(start, min), max);
-        const clampedEnd = Math.min(Math.max(end, min), max);
-
-        if (clampedStart > clampedEnd) {
-          errorEl.textContent = t("dialogErrorRangeOrder");
+        if (!pages.length) {
+          errorEl.textContent = t("dialogErrorNoPages");
           return;
         }
 
-        cleanup({ mode: "range", start: clampedStart, end: clampedEnd });
+        const start = pages[0];
+        const end = pages[pages.length - 1];
+        if (end - start + 1 === pages.length) {
+          cleanup({ mode: "range", start, end });
+        } else {
+          cleanup({ mode: "pages", pages });
+        }
       }
 
       dialog.querySelector(".pixiv-bulk-confirm").addEventListener("click", handleConfirm);
@@ -1084,16 +2294,554 @@
         }
       });
 
-      if (radioRange.checked) {
-        startInput.focus({ preventScroll: true });
+      if (radioPages.checked) {
+        pagesInput.focus({ preventScroll: true });
       } else if (radioAll) {
         radioAll.focus({ preventScroll: true });
       }
     });
   }
 
+  function promptConfirm({ title, summary }) {
+    ensureStylesInjected();
+
+    return new Promise((resolve) => {
+      const backdrop = document.createElement("div");
+      backdrop.className = "pixiv-bulk-dialog-backdrop";
+
+      const dialog = document.createElement("div");
+      dialog.className = "pixiv-bulk-dialog";
+      dialog.innerHTML = `
+        <h2></h2>
+        <p></p>
+        <div class="pixiv-bulk-dialog-actions">
+          <button type="button" class="pixiv-bulk-cancel">${t("dialogButtonCancel")}</button>
+          <button type="button" class="pixiv-bulk-confirm">${t("dialogButtonConfirm")}</button>
+        </div>
+      `;
+      dialog.querySelector("h2").textContent = title;
+      dialog.querySelector("p").textContent = summary;
+
+      backdrop.appendChild(dialog);
+      document.body.appendChild(backdrop);
+
+      function cleanup(confirmed) {
+        document.removeEventListener("keydown", onKeyDown, true);
+        backdrop.remove();
+        resolve(Boolean(confirmed));
+      }
+
+      function onKeyDown(evt) {
+        if (evt.key === "Escape") {
+          evt.preventDefault();
+          cleanup(false);
+        } else if (evt.key === "Enter") {
+          evt.preventDefault();
+          cleanup(true);
+        }
+      }
+
+      document.addEventListener("keydown", onKeyDown, true);
+
+      const confirmButton = dialog.querySelector(".pixiv-bulk-confirm");
+      confirmButton.addEventListener("click", () => cleanup(true));
+      dialog.querySelector(".pixiv-bulk-cancel").addEventListener("click", () => cleanup(false));
+      backdrop.addEventListener("click", (evt) => {
+        if (evt.target === backdrop) {
+          cleanup(false);
+        }
+      });
+
+      confirmButton.focus({ preventScroll: true });
+    });
+  }
+
+  function promptSeriesChoice(series) {
+    ensureStylesInjected();
+
+    return new Promise((resolve) => {
+      const backdrop = document.createElement("div");
+      backdrop.className = "pixiv-bulk-dialog-backdrop";
+
+      const dialog = document.createElement("div");
+      dialog.className = "pixiv-bulk-dialog";
+      dialog.innerHTML = `
+        <h2>${t("dialogSeriesChoiceTitle")}</h2>
+        <p></p>
+        <div class="pixiv-bulk-dialog-actions">
+          <button type="button" class="pixiv-bulk-cancel">${t("dialogButtonCancel")}</button>
+          <button type="button" class="pixiv-bulk-cancel pixiv-bulk-work">${t("dialogSeriesChoiceWork")}</button>
+          <button type="button" class="pixiv-bulk-confirm">${t("dialogSeriesChoiceSeries")}</button>
+        </div>
+      `;
+      dialog.querySelector("p").textContent = t("dialogSeriesChoiceSummary", [series.title || "", String(series.order || "?")]);
+
+      backdrop.appendChild(dialog);
+      document.body.appendChild(backdrop);
+
+      function cleanup(choice) {
+        document.removeEventListener("keydown", onKeyDown, true);
+        backdrop.remove();
+        resolve(choice || null);
+      }
+
+      function onKeyDown(evt) {
+        if (evt.key === "Escape") {
+          evt.preventDefault();
+          cleanup(null);
+        }
+      }
+
+      document.addEventListener("keydown", onKeyDown, true);
+
+      const workButton = dialog.querySelector(".pixiv-bulk-work");
+      workButton.addEventListener("click", () => cleanup("work"));
+      dialog.querySelector(".pixiv-bulk-confirm").addEventListener("click", () => cleanup("series"));
+      dialog.querySelector(".pixiv-bulk-cancel").addEventListener("click", () => cleanup(null));
+      backdrop.addEventListener("click", (evt) => {
+        if (evt.target === backdrop) {
+          cleanup(null);
+        }
+      });
+
+      workButton.focus({ preventScroll: true });
+    });
+  }
+
+  function promptBookmarkOptions({ tags, defaults = {} }) {
+    ensureStylesInjected();
+
+    return new Promise((resolve) => {
+      const backdrop = document.createElement("div");
+      backdrop.className = "pixiv-bulk-dialog-backdrop";
+
+      const dialog = document.createElement("div");
+      dialog.className = "pixiv-bulk-dialog";
+      dialog.innerHTML = `
+        <h2>${t("dialogBookmarksTitle")}</h2>
+        <label class="pixiv-bulk-option">
+          <input type="radio" name="pixiv-bulk-visibility" value="show" />
+          <span>${t("dialogBookmarksPublic")}</span>
+        </label>
+        <label class="pixiv-bulk-option">
+          <input type="radio" name="pixiv-bulk-visibility" value="hide" />
+          <span>${t("dialogBookmarksPrivate")}</span>
+        </label>
+        <label class="pixiv-bulk-option">
+          <input type="radio" name="pixiv-bulk-visibility" value="both" />
+          <span>${t("dialogBookmarksBoth")}</span>
+        </label>
+        <label class="pixiv-bulk-field">
+          <span>${t("dialogBookmarksTagLabel")}</span>
+          <select class="pixiv-bulk-tag-select"></select>
+        </label>
+        <div class="pixiv-bulk-dialog-actions">
+          <button type="button" class="pixiv-bulk-cancel">${t("dialogButtonCancel")}</button>
+          <button type="button" class="pixiv-bulk-confirm">${t("dialogButtonConfirm")}</button>
+        </div>
+      `;
+
+      const tagSelect = dialog.querySelector(".pixiv-bulk-tag-select");
+      const allOption = document.createElement("option");
+      allOption.value = "";
+      allOption.textContent = t("dialogBookmarksTagAll");
+      tagSelect.appendChild(allOption);
+      for (const { tag, count } of tags) {
+        const option = document.createElement("option");
+        option.value = tag;
+        option.textContent = `${tag} (${count})`;
+        tagSelect.appendChild(option);
+      }
+      tagSelect.value = tags.some((entry) => entry.tag === defaults.tag) ? defaults.tag : "";
+
+      const visibility = defaults.rest === "hide" ? "hide" : "show";
+      dialog.querySelector(`input[value="${visibility}"]`).checked = true;
+
+      backdrop.appendChild(dialog);
+      document.body.appendChild(backdrop);
+
+      function cleanup(result) {
+        document.removeEventListener("keydown", onKeyDown, true);
+        backdrop.remove();
+        resolve(result || null);
+      }
+
+      function handleConfirm() {
+        const checked = dialog.querySelector('input[name="pixiv-bulk-visibility"]:checked');
+        cleanup({ visibility: checked ? checked.value : "show", tag: tagSelect.value });
+      }
+
+      function onKeyDown(evt) {
+        if (evt.key === "Escape") {
+          evt.preventDefault();
+          cleanup(null);
+        } else if (evt.key === "Enter" && evt.target.tagName !== "SELECT") {
+          evt.preventDefault();
+          handleConfirm();
+        }
+      }
+
+      document.addEventListener("keydown", onKeyDown, true);
+
+      const confirmButton = dialog.querySelector(".pixiv-bulk-confirm");
+      confirmButton.addEventListener("click", handleConfirm);
+      dialog.querySelector(".pixiv-bulk-cancel").addEventListener("click", () => cleanup(null));
+      backdrop.addEventListener("click", (evt) => {
+        if (evt.target === backdrop) {
+          cleanup(null);
+        }
+      });
+
+      confirmButton.focus({ preventScroll: true });
+    });
+  }
+
+  let batchInProgress = false;
+  let batchCancelRequested = false;
+  let batchPaused = false;
+
+  function applyBatchState({ state, count = 0 } = {}) {
+    if (!batchInProgress && !count) {
+      showToast(t("toastBatchIdle"), "error");
+      return;
+    }
+
+    batchPaused = state === "paused";
+    if (state === "cancelled") {
+      if (batchInProgress) {
+        batchCancelRequested = true;
+        showToast(t("toastBatchCancelling"));
+      } else {
+        showToast(t("toastDownloadsCancelled", String(count)), "success");
+      }
+    } else if (state === "paused") {
+      showToast(t("toastDownloadsPaused"), "info", getBatchToastActions(), 0);
+    } else if (state === "running") {
+      showToast(t("toastDownloadsResumed"), "success", getBatchToastActions());
+    }
+  }
+
+  function showBatchProgress({ state, current = 0, total = 0, queued = 0, failed = 0, skipped = 0 } = {}) {
+    if (state !== "done") {
+      batchPaused = false;
+      showToast(t("toastBatchProgress", [String(current), String(total)]), "info", getBatchToastActions(), 0);
+    } else if (failed) {
+      showToast(t("toastBatchPartial", [String(queued), String(failed)]), "error");
+    } else if (skipped) {
+      showToast(t("toastBatchFiltered", [String(queued), String(skipped)]), "success");
+    } else {
+      showToast(t("toastBatchDone", String(queued)), "success");
+    }
+  }
+
+  async function runBatchDownload(loadBatch) {
+    if (batchInProgress) {
+      showToast(t("toastBatchBusy"), "error");
+      return false;
+    }
+
+    batchInProgress = true;
+    batchCancelRequested = false;
+    batchPaused = false;
+    setButtonBusy(true);
+
+    try {
+      const batch = await loadBatch();
+      setButtonBusy(false);
+
+      if (batchCancelRequested) {
+        showToast(t("toastBatchCancelled", "0"), "success");
+        return false;
+      }
+
+      if (!batch || !batch.illustIds.length) {
+        showToast(batch?.emptyMessage || t("toastBatchEmpty"), batch?.emptyMessage ? "success" : "error");
+        return false;
+      }
+
+      if (batch.confirm !== false) {
+        const confirmed = await promptConfirm({ title: batch.title, summary: batch.summary });
+        if (!confirmed) {
+          return false;
+        }
+      }
+
+      const response = await runtimeSendMessage({
+        type: "PIXIV_BATCH_QUEUE",
+        payload: {
+          kind: batch.kind || "illust",
+          works: batch.illustIds.map((id, index) => ({ id, extras: batch.extras ? batch.extras(index) : {} })),
+          minBookmarks: batch.minBookmarks || 0,
+          sync: batch.sync || null
+        }
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error || t("toastDownloadStartFailed"));
+      }
+      return true;
+    } catch (err) {
+      console.error("Pixiv batch download failed", err);
+      showToast(err?.message || t("errorDataFetchFailed"), "error");
+      return false;
+    } finally {
+      batchInProgress = false;
+      setButtonBusy(false);
+    }
+  }
+
+  function startUserPortfolioDownload(info = getUserPageInfo()) {
+    if (!info) {
+      showToast(t("errorUnsupportedPage"), "error");
+      return Promise.resolve();
+    }
+
+    return runBatchDownload(async () => {
+      const [illustIds, profile] = await Promise.all([
+        collectUserWorkIds(info.userId, info.category),
+        fetchUserProfile(info.userId).catch(() => null)
+      ]);
+      const name = profile?.body?.name || t("fallbackUnknownCreator");
+      return {
+        illustIds,
+        title: t("dialogUserBatchTitle"),
+        summary: t("dialogUserBatchSummary", [String(illustIds.length), name])
+      };
+    });
+  }
+
+  function mergeBookmarkTags(body) {
+    const counts = new Map();
+    for (const entry of [...(body?.public || []), ...(body?.private || [])]) {
+      if (entry && entry.tag) {
+        counts.set(entry.tag, (counts.get(entry.tag) || 0) + (Number(entry.cnt) || 0));
+      }
+    }
+    return Array.from(counts, ([tag, count]) => ({ tag, count })).sort((a, b) => b.count - a.count);
+  }
+
+  async function startBookmarksDownload() {
+    const info = getBookmarksPageInfo();
+    if (!info) {
+      showToast(t("errorUnsupportedPage"), "error");
+      return;
+    }
+
+    if (batchInProgress) {
+      showToast(t("toastBatchBusy"), "error");
+      return;
+    }
+
+    setButtonBusy(true);
+    let tags = [];
+    try {
+      const json = await fetchBookmarkTags(info.userId);
+      tags = mergeBookmarkTags(json?.body);
+    } catch (err) {
+      console.warn("Failed to load bookmark tags", err);
+    } finally {
+      setButtonBusy(false);
+    }
+
+    const options = await promptBookmarkOptions({ tags, defaults: info });
+    if (!options) {
+      return;
+    }
+
+    await runBatchDownload(async () => {
+      const illustIds = await collectBookmarkIds(info.userId, options, (count) => {
+        showToast(t("toastBookmarksProgress", String(count)));
+      });
+      return {
+        illustIds,
+        title: t("dialogBookmarksTitle"),
+        summary: t("dialogBookmarksSummary", String(illustIds.length))
+      };
+    });
+  }
+
+  function startSeriesDownload(seriesId) {
+    return runBatchDownload(async () => {
+      const { title, chapters } = await collectSeriesChapters(seriesId, (count) => {
+        showToast(t("toastSeriesProgress", String(count)));
+      });
+      const seriesTitle = title || seriesId;
+      return {
+        illustIds: chapters.map((entry) => entry.illustId),
+        title: t("dialogSeriesTitle"),
+        summary: t("dialogSeriesSummary", [String(chapters.length), seriesTitle]),
+        extras: (index) => ({
+          series: { id: seriesId, title: seriesTitle, chapter: chapters[index].chapter }
+        })
+      };
+    });
+  }
+
+  function startFollowSync({ closeTab = false } = {}) {
+    let completed = false;
+
+    return runBatchDownload(async () => {
+      const state = await runtimeSendMessage({ type: "PIXIV_SYNC_STATE_REQUEST" });
+      if (!state || !state.success) {
+        throw new Error(state?.error || t("errorDataFetchFailed"));
+      }
+
+      const watermarks = state.watermarks || {};
+      const onProgress = (count) => showToast(t("toastSyncProgress", String(count)));
+      const found = [];
+      if (state.source !== "watchlist") {
+        found.push(...(await collectFollowingUpdates(watermarks, onProgress)));
+      }
+      if (state.source !== "following") {
+        const offset = found.length;
+        found.push(...(await collectWatchlistUpdates(state.watchlist || [], watermarks, (count) => onProgress(offset + count))));
+      }
+
+      const works = Array.from(new Map(found.map((work) => [work.illustId, work])).values())
+        .sort((a, b) => Number(a.illustId) - Number(b.illustId));
+      const pending = await runtimeSendMessage({
+        type: "PIXIV_SYNC_PENDING",
+        payload: { works: works.map(({ illustId, userId }) => ({ illustId, userId })) }
+      });
+      if (!pending || !pending.success) {
+        throw new Error(pending?.error || t("errorDataFetchFailed"));
+      }
+      completed = true;
+      return {
+        illustIds: works.map((work) => work.illustId),
+        confirm: false,
+        emptyMessage: t("toastSyncUpToDate"),
+        sync: { closeTab }
+      };
+    }).then((queued) => {
+      if (!queued) {
+        runtimeSendMessage({
+          type: "PIXIV_SYNC_FINISHED",
+          payload: { completed, closeTab, queued: 0, failed: 0 }
+        }).catch(() => {});
+      }
+    });
+  }
+
+  function startRankingDownload(info) {
+    const limit = Math.max(1, Math.floor(Number(extensionSettings.rankingLimit) || DEFAULT_SETTINGS.rankingLimit));
+    const mode = info.content === "all" ? info.mode : `${info.mode}_${info.content}`;
+
+    return runBatchDownload(async () => {
+      const { date, entries } = await collectRankingEntries(info, limit, (count) => {
+        showToast(t("toastRankingProgress", String(count)));
+      });
+      return {
+        illustIds: entries.map((entry) => entry.illustId),
+        title: t("dialogRankingTitle"),
+        summary: t("dialogRankingSummary", [String(entries.length), mode, date]),
+        extras: (index) => ({
+          ranking: { mode, date, rank: entries[index].rank }
+        })
+      };
+    });
+  }
+
+  function startSearchDownload(info) {
+    const limit = Math.max(1, Math.floor(Number(extensionSettings.searchLimit) || DEFAULT_SETTINGS.searchLimit));
+    const minBookmarks = Number(info.params.get("blt")) || 0;
+
+    return runBatchDownload(async () => {
+      const illustIds = await collectSearchIds(info, limit, (count) => {
+        showToast(t("toastSearchProgress", String(count)));
+      });
+      return {
+        illustIds,
+        title: t("dialogSearchTitle"),
+        summary: t("dialogSearchSummary", [String(illustIds.length), info.word]),
+        minBookmarks
+      };
+    });
+  }
+
+  function startNovelSeriesDownload(seriesId) {
+    return runBatchDownload(async () => {
+      const { title, chapters } = await collectNovelSeriesChapters(seriesId, (count) => {
+        showToast(t("toastSeriesProgress", String(count)));
+      });
+      const seriesTitle = title || seriesId;
+      return {
+        illustIds: chapters.map((entry) => entry.novelId),
+        title: t("dialogNovelSeriesTitle"),
+        summary: t("dialogNovelSeriesSummary", [String(chapters.length), seriesTitle]),
+        kind: "novel",
+        extras: (index) => ({
+          series: { id: seriesId, title: seriesTitle, chapter: chapters[index].chapter }
+        })
+      };
+    });
+  }
+
+  async function startNovelDownload(novelId) {
+    if (batchInProgress) {
+      showToast(t("toastBatchBusy"), "error");
+      return;
+    }
+
+    setButtonBusy(true);
+    try {
+      const body = await fetchNovelBody(novelId);
+      const series = extractSeriesInfo(body);
+      if (series) {
+        setButtonBusy(false);
+        const choice = await promptSeriesChoice(series);
+        if (!choice) {
+          return;
+        }
+        if (choice === "series") {
+          await startNovelSeriesDownload(series.id);
+          return;
+        }
+        setButtonBusy(true);
+      }
+
+      await queueNovelForDownload(novelId, {}, body);
+      showToast(t("toastNovelQueued"), "success");
+    } catch (err) {
+      console.error("Pixiv novel download failed", err);
+      showToast(err?.message || t("toastDownloadStartFailed"), "error");
+    } finally {
+      setButtonBusy(false);
+    }
+  }
+
+  function startPageBatchDownload() {
+    const source = getBatchSource();
+    if (source?.type === "following") {
+      return startFollowSync();
+    }
+    if (source?.type === "ranking") {
+      return startRankingDownload(source);
+    }
+    if (source?.type === "search") {
+      return startSearchDownload(source);
+    }
+    if (source?.type === "novel") {
+      return startNovelDownload(source.novelId);
+    }
+    if (source?.type === "novelSeries") {
+      return startNovelSeriesDownload(source.seriesId);
+    }
+    if (source?.type === "series") {
+      return startSeriesDownload(source.seriesId);
+    }
+    if (source?.type === "bookmarks") {
+      return startBookmarksDownload();
+    }
+    return startUserPortfolioDownload();
+  }
+
   async function handleOverlayClick(event) {
     event.preventDefault();
+    if (!getIllustId()) {
+      await startPageBatchDownload();
+      return;
+    }
+
     setButtonBusy(true);
 
     try {
@@ -1105,6 +2853,18 @@
         return;
       }
 
+      const series = result.details?.series;
+      if (series) {
+        const choice = await promptSeriesChoice(series);
+        if (!choice) {
+          return;
+        }
+        if (choice === "series") {
+          await startSeriesDownload(series.id);
+          return;
+        }
+      }
+
       let selection = { mode: "all" };
       const total = result.images.length;
       const forcePrompt = event?.shiftKey;
@@ -1142,12 +2902,13 @@
         illustId: result.illustId,
         title: result.title,
         author: result.author,
+        details: result.details,
         images: filteredImages,
         selection
       };
 
       await runtimeSendMessage({ type: "PIXIV_DOWNLOAD_SELECTION", payload });
-      showToast(t("toastDownloadingCount", filteredImages.length.toString()), "success");
+      showToast(t("toastDownloadingCount", filteredImages.length.toString()), "success", getBatchToastActions());
     } catch (err) {
       console.error("Pixiv bulk download failed", err);
       showToast(err?.message || t("toastDownloadStartFailed"), "error");
@@ -1195,6 +2956,12 @@
     }
 
     if (message.type === "PIXIV_COLLECT_IMAGES") {
+      if (!getIllustId() && getBatchSource()) {
+        startPageBatchDownload();
+        sendResponse({ success: true, batch: true });
+        return;
+      }
+
       (async () => {
         try {
           const result = await collectPixivMedia();
@@ -1219,11 +2986,85 @@
       return;
     }
 
+    if (message.type === "PIXIV_HISTORY_UPDATED") {
+      const illustIds = message.payload?.illustIds || [];
+      if (illustIds.includes(getIllustId())) {
+        refreshDownloadedState();
+      }
+      sendResponse?.({ success: true });
+      return;
+    }
+
+    if (message.type === "PIXIV_JOB_FAILED") {
+      showJobFailedToast(message.payload || {});
+      sendResponse?.({ success: true });
+      return;
+    }
+
+    if (message.type === "PIXIV_BATCH_STATE") {
+      applyBatchState(message.payload || {});
+      sendResponse?.({ success: true });
+      return;
+    }
+
+    if (message.type === "PIXIV_BATCH_PROGRESS") {
+      showBatchProgress(message.payload || {});
+      sendResponse?.({ success: true });
+      return;
+    }
+
+    if (message.type === "PIXIV_RESOLVE_WORK") {
+      const payload = message.payload || {};
+      (async () => {
+        try {
+          sendResponse({ success: true, payload: await resolveWork(payload.kind, String(payload.id || "")) });
+        } catch (err) {
+          sendResponse({ success: false, error: err?.message || t("errorDataFetchFailed") });
+        }
+      })();
+      return true;
+    }
+
+    if (message.type === "PIXIV_QUEUE_LINK") {
+      const payload = message.payload || {};
+      if (payload.kind === "user" && /^\d+$/.test(payload.id || "")) {
+        startUserPortfolioDownload({ userId: payload.id, category: "all" });
+      } else if (payload.kind === "artwork" && /^\d+$/.test(payload.id || "")) {
+        runBatchDownload(async () => ({ illustIds: [payload.id], confirm: false }));
+      }
+      sendResponse({ success: true });
+      return;
+    }
+
+    if (message.type === "PIXIV_SYNC_RUN") {
+      startFollowSync({ closeTab: Boolean(message.payload?.closeTab) });
+      sendResponse({ success: true });
+      return;
+    }
+
+    if (message.type === "PIXIV_PROMPT_SERIES") {
+      const series = message.payload?.series;
+      if (!series || !series.id) {
+        sendResponse({ success: true, choice: "work" });
+        return;
+      }
+
+      (async () => {
+        const choice = await promptSeriesChoice(series);
+        if (choice === "series") {
+          startSeriesDownload(series.id);
+        }
+        sendResponse({ success: true, choice });
+      })();
+      return true;
+    }
+
     if (message.type === "PIXIV_PROMPT_SELECTION") {
       const payload = message.payload || {};
       const total = Math.max(1, Math.floor(Number(payload.total) || 1));
       const defaults = payload.defaults || {};
-      const meta = { images: Array.from({ length: total }) };
+      const images = Array.isArray(payload.images) && payload.images.length === total ? payload.images : null;
+      const meta = { images: images || Array.from({ length: total }) };
 
       (async () => {
         try {
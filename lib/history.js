@@ -0,0 +1,136 @@
+const HISTORY_DB_NAME = "pixiv-bulk-history";
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = "downloads";
+
+let historyDbPromise = null;
+
+function historyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error || new Error("IndexedDB request failed."));
+  });
+}
+
+function openHistoryDatabase() {
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new Error("IndexedDB is not available."));
+  }
+
+  if (!historyDbPromise) {
+    historyDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+          const store = db.createObjectStore(HISTORY_STORE, { keyPath: ["illustId", "page", "variant"] });
+          store.createIndex("illustId", "illustId", { unique: false });
+          store.createIndex("downloadedAt", "downloadedAt", { unique: false });
+        }
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        db.onversionchange = () => {
+          db.close();
+          historyDbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error || new Error("Failed to open the download history."));
+      request.onblocked = () => reject(new Error("The download history database is blocked."));
+    }).catch((err) => {
+      historyDbPromise = null;
+      throw err;
+    });
+  }
+
+  return historyDbPromise;
+}
+
+async function withHistoryStore(mode, run) {
+  const db = await openHistoryDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(HISTORY_STORE, mode);
+    const store = transaction.objectStore(HISTORY_STORE);
+    let result;
+
+    Promise.resolve(run(store))
+      .then((value) => {
+        result = value;
+      })
+      .catch((err) => {
+        try {
+          transaction.abort();
+        } catch (abortErr) {
+          console.warn("History transaction abort failed", abortErr);
+        }
+        reject(err);
+      });
+
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error || new Error("History transaction failed."));
+    transaction.onabort = () => reject(transaction.error || new Error("History transaction aborted."));
+  });
+}
+
+function normalizeHistoryPage(page) {
+  return typeof page === "number" && Number.isFinite(page) ? page : 0;
+}
+
+function normalizeHistoryVariant(variant) {
+  return variant === "ugoira" || variant === "novel" ? variant : "image";
+}
+
+function getHistoryKey(illustId, page, variant) {
+  return [String(illustId), normalizeHistoryPage(page), normalizeHistoryVariant(variant)];
+}
+
+function recordHistoryEntry(entry) {
+  const record = {
+    ...entry,
+    illustId: String(entry.illustId),
+    page: normalizeHistoryPage(entry.page),
+    variant: normalizeHistoryVariant(entry.variant),
+    downloadedAt: entry.downloadedAt || Date.now()
+  };
+  return withHistoryStore("readwrite", (store) => historyRequest(store.put(record)));
+}
+
+function getHistoryEntry(illustId, page, variant) {
+  return withHistoryStore("readonly", (store) =>
+    historyRequest(store.get(getHistoryKey(illustId, page, variant)))
+  ).then((entry) => entry || null);
+}
+
+function hasHistoryEntries(illustId, pages) {
+  if (!pages.length) {
+    return Promise.resolve(false);
+  }
+
+  return withHistoryStore("readonly", async (store) => {
+    const entries = await Promise.all(pages.map((page) =>
+      historyRequest(store.get(getHistoryKey(illustId, page.page, page.variant)))
+    ));
+    return entries.every(Boolean);
+  });
+}
+
+function getDownloadedIllustIds(illustIds) {
+  const ids = Array.from(new Set((illustIds || []).filter(Boolean).map(String)));
+  if (!ids.length) {
+    return Promise.resolve([]);
+  }
+
+  return withHistoryStore("readonly", async (store) => {
+    const index = store.index("illustId");
+    const counts = await Promise.all(ids.map((id) => historyRequest(index.count(id))));
+    return ids.filter((id, i) => counts[i] > 0);
+  });
+}
+
+function countHistoryEntries() {
+  return withHistoryStore("readonly", (store) => historyRequest(store.count()));
+}
+
+function clearHistory() {
+  return withHistoryStore("readwrite", (store) => historyRequest(store.clear()));
+}
@@ -0,0 +1,285 @@
+const XMP_NAMESPACE_HEADER = "http://ns.adobe.com/xap/1.0/\0";
+const EXIF_HEADER = "Exif\0\0";
+const JPEG_SEGMENT_MAX = 0xffff - 2;
+const METADATA_CAPTION_LIMIT = 4000;
+
+function utf8Bytes(text) {
+  return new TextEncoder().encode(text);
+}
+
+function utf16leBytes(text) {
+  const bytes = new Uint8Array((text.length + 1) * 2);
+  for (let i = 0; i < text.length; i += 1) {
+    const code = text.charCodeAt(i);
+    bytes[i * 2] = code & 0xff;
+    bytes[i * 2 + 1] = code >>> 8;
+  }
+  return bytes;
+}
+
+function writeUint16BE(value) {
+  return new Uint8Array([(value >>> 8) & 0xff, value & 0xff]);
+}
+
+function escapeXml(value) {
+  return String(value ?? "").replace(/[<>&"']/g, (char) => ({
+    "<": "&lt;",
+    ">": "&gt;",
+    "&": "&amp;",
+    "\"": "&quot;",
+    "'": "&apos;"
+  })[char]);
+}
+
+function getEmbeddableFields(metadata) {
+  return {
+    title: metadata.title || "",
+    author: metadata.author?.name || "",
+    url: metadata.url || "",
+    caption: (metadata.caption || "").slice(0, METADATA_CAPTION_LIMIT),
+    tags: (metadata.tags || []).map((tag) => tag.name).filter(Boolean),
+    date: metadata.uploadDate || metadata.createDate || ""
+  };
+}
+
+function buildXmpPacket(metadata) {
+  const fields = getEmbeddableFields(metadata);
+  const lines = [
+    "<?xpacket begin=\"\uFEFF\" id=\"W5M0MpCehiHzreSzNTczkc9d\"?>",
+    "<x:xmpmeta xmlns:x=\"adobe:ns:meta/\">",
+    " <rdf:RDF xmlns:rdf=\"http://www.w3.org/1999/02/22-rdf-syntax-ns#\">",
+    "  <rdf:Description rdf:about=\"\"",
+    "    xmlns:dc=\"http://purl.org/dc/elements/1.1/\"",
+    "    xmlns:xmpRights=\"http://ns.adobe.com/xap/1.0/rights/\"",
+    "    xmlns:photoshop=\"http://ns.adobe.com/photoshop/1.0/\">",
+    `   <dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(fields.title)}</rdf:li></rdf:Alt></dc:title>`,
+    `   <dc:creator><rdf:Seq><rdf:li>${escapeXml(fields.author)}</rdf:li></rdf:Seq></dc:creator>`
+  ];
+
+  if (fields.caption) {
+    lines.push(`   <dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(fields.caption)}</rdf:li></rdf:Alt></dc:description>`);
+  }
+  if (fields.tags.length) {
+    lines.push(`   <dc:subject><rdf:Bag>${fields.tags.map((tag) => `<rdf:li>${escapeXml(tag)}</rdf:li>`).join("")}</rdf:Bag></dc:subject>`);
+  }
+  if (fields.date) {
+    lines.push(`   <photoshop:DateCreated>${escapeXml(fields.date)}</photoshop:DateCreated>`);
+  }
+
+  lines.push(
+    `   <dc:source>${escapeXml(fields.url)}</dc:source>`,
+    `   <xmpRights:WebStatement>${escapeXml(fields.url)}</xmpRights:WebStatement>`,
+    "  </rdf:Description>",
+    " </rdf:RDF>",
+    "</x:xmpmeta>",
+    "<?xpacket end=\"w\"?>"
+  );
+  return lines.join("\n");
+}
+
+function buildExifPayload(metadata) {
+  const fields = getEmbeddableFields(metadata);
+  const entries = [
+    { tag: 0x010e, type: 2, data: utf8Bytes(`${fields.title}\0`) },
+    { tag: 0x013b, type: 2, data: utf8Bytes(`${fields.author}\0`) },
+    { tag: 0x8298, type: 2, data: utf8Bytes(`${fields.url}\0`) },
+    { tag: 0x9c9b, type: 1, data: utf16leBytes(fields.title) },
+    { tag: 0x9c9c, type: 1, data: utf16leBytes(fields.caption ? `${fields.url}\n\n${fields.caption}` : fields.url) },
+    { tag: 0x9c9d, type: 1, data: utf16leBytes(fields.author) },
+    { tag: 0x9c9e, type: 1, data: utf16leBytes(fields.tags.join(";")) }
+  ];
+
+  const ifdSize = 2 + entries.length * 12 + 4;
+  let dataOffset = 8 + ifdSize;
+  const ifd = [writeUint16LE(entries.length)];
+  const values = [];
+
+  for (const entry of entries) {
+    const field = new Uint8Array(12);
+    field.set(writeUint16LE(entry.tag), 0);
+    field.set(writeUint16LE(entry.type), 2);
+    field.set(writeUint32LE(entry.data.length), 4);
+    if (entry.data.length <= 4) {
+      field.set(entry.data, 8);
+    } else {
+      field.set(writeUint32LE(dataOffset), 8);
+      values.push(entry.data);
+      dataOffset += entry.data.length + (entry.data.length % 2);
+      if (entry.data.length % 2) {
+        values.push(new Uint8Array(1));
+      }
+    }
+    ifd.push(field);
+  }
+  ifd.push(writeUint32LE(0));
+
+  return concatBytes([
+    asciiBytes(EXIF_HEADER),
+    asciiBytes("II"),
+    writeUint16LE(42),
+    writeUint32LE(8),
+    ...ifd,
+    ...values
+  ]);
+}
+
+function jpegSegment(marker, payload) {
+  if (payload.length > JPEG_SEGMENT_MAX) {
+    return null;
+  }
+  return concatBytes([new Uint8Array([0xff, marker]), writeUint16BE(payload.length + 2), payload]);
+}
+
+function startsWithAscii(bytes, offset, text) {
+  for (let i = 0; i < text.length; i += 1) {
+    if (bytes[offset + i] !== text.charCodeAt(i)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function embedJpegMetadata(bytes, metadata) {
+  const leading = [];
+  const kept = [];
+  let hasExif = false;
+  let offset = 2;
+
+  while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+    const marker = bytes[offset + 1];
+    const isAppSegment = (marker >= 0xe0 && marker <= 0xef) || marker === 0xfe;
+    if (!isAppSegment) {
+      break;
+    }
+
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    const end = offset + 2 + length;
+    if (length < 2 || end > bytes.length) {
+      return bytes;
+    }
+
+    const segment = bytes.subarray(offset, end);
+    const payloadStart = offset + 4;
+    if (marker === 0xe1 && startsWithAscii(bytes, payloadStart, XMP_NAMESPACE_HEADER)) {
+      offset = end;
+      continue;
+    }
+    if (marker === 0xe1 && startsWithAscii(bytes, payloadStart, EXIF_HEADER)) {
+      hasExif = true;
+    }
+
+    if (marker === 0xe0 && !kept.length) {
+      leading.push(segment);
+    } else {
+      kept.push(segment);
+    }
+    offset = end;
+  }
+
+  const inserted = [];
+  if (!hasExif) {
+    const exif = jpegSegment(0xe1, buildExifPayload(metadata));
+    if (exif) {
+      inserted.push(exif);
+    }
+  }
+
+  const xmp = jpegSegment(0xe1, concatBytes([asciiBytes(XMP_NAMESPACE_HEADER), utf8Bytes(buildXmpPacket(metadata))]));
+  if (xmp) {
+    inserted.push(xmp);
+  }
+
+  return concatBytes([bytes.subarray(0, 2), ...leading, ...inserted, ...kept, bytes.subarray(offset)]);
+}
+
+function pngTextChunk(keyword, text) {
+  return pngChunk("iTXt", concatBytes([
+    asciiBytes(keyword),
+    new Uint8Array([0, 0, 0, 0, 0]),
+    utf8Bytes(text)
+  ]));
+}
+
+function embedPngMetadata(bytes, metadata) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const ihdrLength = view.getUint32(8);
+  if (!startsWithAscii(bytes, 12, "IHDR")) {
+    return bytes;
+  }
+
+  const fields = getEmbeddableFields(metadata);
+  const chunks = [
+    pngTextChunk("Title", fields.title),
+    pngTextChunk("Author", fields.author),
+    pngTextChunk("Source", fields.url)
+  ];
+  if (fields.caption) {
+    chunks.push(pngTextChunk("Description", fields.caption));
+  }
+  if (fields.tags.length) {
+    chunks.push(pngTextChunk("Keywords", fields.tags.join(", ")));
+  }
+  chunks.push(pngTextChunk("XML:com.adobe.xmp", buildXmpPacket(metadata)));
+
+  const insertAt = 8 + 12 + ihdrLength;
+  return concatBytes([bytes.subarray(0, insertAt), ...chunks, bytes.subarray(insertAt)]);
+}
+
+function embedArtworkMetadata(buffer, metadata) {
+  const bytes = new Uint8Array(buffer);
+  let output = bytes;
+
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+    output = embedJpegMetadata(bytes, metadata);
+  } else if (bytes.length > 8 && PNG_SIGNATURE.every((value, index) => bytes[index] === value)) {
+    output = embedPngMetadata(bytes, metadata);
+  }
+
+  return output === bytes ? buffer : output.buffer.slice(output.byteOffset, output.byteOffset + output.byteLength);
+}
+
+function buildComicInfoXml(metadata, pages) {
+  const fields = getEmbeddableFields(metadata);
+  const date = /^(\d{4})-(\d{2})-(\d{2})/.exec(fields.date) || [];
+  const elements = [
+    ["Title", fields.title],
+    ["Series", metadata.series?.title || ""],
+    ["Number", metadata.series?.order ?? ""],
+    ["Summary", fields.caption],
+    ["Year", date[1] ? Number(date[1]) : ""],
+    ["Month", date[2] ? Number(date[2]) : ""],
+    ["Day", date[3] ? Number(date[3]) : ""],
+    ["Writer", fields.author],
+    ["Penciller", fields.author],
+    ["Publisher", "pixiv"],
+    ["Tags", fields.tags.join(",")],
+    ["Web", fields.url],
+    ["PageCount", pages.length],
+    ["Manga", metadata.type === "manga" ? "YesAndRightToLeft" : "No"],
+    ["AgeRating", metadata.rating === "all-ages" ? "" : "Adults Only 18+"]
+  ];
+
+  const lines = [
+    "<?xml version=\"1.0\" encoding=\"utf-8\"?>",
+    "<ComicInfo xmlns:xsi=\"http://www.w3.org/2001/XMLSchema-instance\" xmlns:xsd=\"http://www.w3.org/2001/XMLSchema\">"
+  ];
+  for (const [name, value] of elements) {
+    if (value !== "" && value !== null && value !== undefined) {
+      lines.push(`  <${name}>${escapeXml(value)}</${name}>`);
+    }
+  }
+
+  lines.push("  <Pages>");
+  pages.forEach((page, index) => {
+    const attributes = [`Image="${index}"`];
+    if (index === 0) {
+      attributes.push("Type=\"FrontCover\"");
+    }
+    if (page.size) {
+      attributes.push(`ImageSize="${page.size}"`);
+    }
+    lines.push(`    <Page ${attributes.join(" ")} />`);
+  });
+  lines.push("  </Pages>", "</ComicInfo>");
+  return lines.join("\n");
+}
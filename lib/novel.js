@@ -0,0 +1,308 @@
+const NOVEL_MARKUP_PATTERN = /\[\[rb:([^>\]]*?)\s*>\s*([^\]]*?)\]\]|\[\[jumpuri:([^>\]]*?)\s*>\s*([^\]]*?)\]\]|\[jump:(\d+)\]|\[newpage\]|\[chapter:([^\]]*)\]|\[pixivimage:(\d+)(?:-(\d+))?\]|\[uploadedimage:(\d+)\]/g;
+const EPUB_MIMETYPE = "application/epub+zip";
+
+function getNovelImageKeys(content) {
+  const keys = new Set();
+  for (const match of (content || "").matchAll(NOVEL_MARKUP_PATTERN)) {
+    if (match[7]) {
+      keys.add(`pixivimage:${match[7]}-${match[8] || 1}`);
+    } else if (match[9]) {
+      keys.add(`uploadedimage:${match[9]}`);
+    }
+  }
+  return Array.from(keys);
+}
+
+function parseNovelMarkup(content) {
+  const pages = [[]];
+  let line = [];
+  let skipNewline = false;
+
+  const currentPage = () => pages[pages.length - 1];
+  const flushLine = (keepEmpty) => {
+    if (line.length || keepEmpty) {
+      currentPage().push({ type: "paragraph", inline: line });
+    }
+    line = [];
+  };
+  const pushBlock = (block) => {
+    flushLine(false);
+    currentPage().push(block);
+    skipNewline = true;
+  };
+  const pushInline = (item) => {
+    line.push(item);
+    skipNewline = false;
+  };
+  const pushText = (text) => {
+    text.replace(/\r\n?/g, "\n").split("\n").forEach((part, index) => {
+      if (index > 0) {
+        if (skipNewline && !line.length) {
+          skipNewline = false;
+        } else {
+          flushLine(true);
+        }
+      }
+      if (part) {
+        pushInline({ text: part });
+      }
+    });
+  };
+
+  const source = content || "";
+  let lastIndex = 0;
+  for (const match of source.matchAll(NOVEL_MARKUP_PATTERN)) {
+    pushText(source.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+
+    if (match[1] !== undefined) {
+      pushInline({ text: match[1], ruby: match[2] });
+    } else if (match[3] !== undefined) {
+      pushInline({ text: match[3] || match[4], href: match[4] });
+    } else if (match[5]) {
+      pushInline({ text: match[5], jump: Number(match[5]) });
+    } else if (match[0] === "[newpage]") {
+      flushLine(false);
+      pages.push([]);
+      skipNewline = true;
+    } else if (match[6] !== undefined) {
+      pushBlock({ type: "chapter", title: match[6].trim() });
+    } else if (match[7]) {
+      pushBlock({ type: "image", key: `pixivimage:${match[7]}-${match[8] || 1}` });
+    } else if (match[9]) {
+      pushBlock({ type: "image", key: `uploadedimage:${match[9]}` });
+    }
+  }
+  pushText(source.slice(lastIndex));
+  flushLine(false);
+
+  const filled = pages.filter((page) => page.length);
+  return filled.length ? filled : [[]];
+}
+
+function formatNovelInlineText(inline) {
+  return inline.map((item) => {
+    if (item.ruby) return `${item.text}《${item.ruby}》`;
+    if (item.href) return item.text === item.href ? item.href : `${item.text} (${item.href})`;
+    return item.text;
+  }).join("");
+}
+
+function formatNovelText(novel, pages) {
+  const lines = [novel.title, novel.author, novel.url];
+  if (novel.series) {
+    lines.push(`${novel.series.title}${novel.series.chapter ? ` #${novel.series.chapter}` : ""}`);
+  }
+  if (novel.tags.length) {
+    lines.push(novel.tags.map((tag) => `#${tag}`).join(" "));
+  }
+  if (novel.caption) {
+    lines.push("", novel.caption);
+  }
+  lines.push("", "");
+
+  pages.forEach((page, index) => {
+    if (index > 0) {
+      lines.push("", "* * *", "");
+    }
+    for (const block of page) {
+      if (block.type === "chapter") {
+        lines.push(`■ ${block.title}`, "");
+      } else if (block.type === "image") {
+        lines.push(`[${novel.embeds[block.key] || block.key}]`);
+      } else {
+        lines.push(formatNovelInlineText(block.inline));
+      }
+    }
+  });
+
+  return `${lines.join("\n").replace(/\n{4,}/g, "\n\n\n")}\n`;
+}
+
+function renderNovelInlineHtml(inline, pageHref) {
+  return inline.map((item) => {
+    const text = escapeXml(item.text);
+    if (item.ruby) return `<ruby>${text}<rt>${escapeXml(item.ruby)}</rt></ruby>`;
+    if (item.href) return `<a href="${escapeXml(item.href)}">${text}</a>`;
+    if (item.jump) return `<a href="${escapeXml(pageHref(item.jump))}">${text}</a>`;
+    return text;
+  }).join("");
+}
+
+function renderNovelPageHtml(page, imageSources, pageHref) {
+  return page.map((block) => {
+    if (block.type === "chapter") {
+      return `<h2>${escapeXml(block.title)}</h2>`;
+    }
+    if (block.type === "image") {
+      const src = imageSources[block.key];
+      return src ? `<p class="image"><img src="${escapeXml(src)}" alt="" /></p>` : "";
+    }
+    return block.inline.length ? `<p>${renderNovelInlineHtml(block.inline, pageHref)}</p>` : "<p><br /></p>";
+  }).filter(Boolean).join("\n");
+}
+
+function renderNovelHeaderHtml(novel, coverSrc) {
+  const parts = [`<h1>${escapeXml(novel.title)}</h1>`, `<p class="author">${escapeXml(novel.author)}</p>`];
+  if (coverSrc) {
+    parts.unshift(`<p class="image"><img src="${escapeXml(coverSrc)}" alt="" /></p>`);
+  }
+  if (novel.series) {
+    parts.push(`<p class="series">${escapeXml(novel.series.title)}${novel.series.chapter ? ` #${novel.series.chapter}` : ""}</p>`);
+  }
+  if (novel.caption) {
+    parts.push(`<div class="caption">${novel.caption.split("\n").map((text) => `<p>${escapeXml(text)}</p>`).join("")}</div>`);
+  }
+  parts.push(`<p class="source"><a href="${escapeXml(novel.url)}">${escapeXml(novel.url)}</a></p>`);
+  return parts.join("\n");
+}
+
+const NOVEL_STYLES = [
+  "body { font-family: serif; line-height: 1.8; max-width: 40em; margin: 0 auto; padding: 1em; }",
+  "p { margin: 0; }",
+  "h1, h2 { line-height: 1.4; }",
+  ".image { text-align: center; margin: 1em 0; }",
+  ".image img { max-width: 100%; }",
+  ".author, .series, .source { color: #555; }",
+  ".caption { margin: 1em 0; color: #555; }",
+  "hr { margin: 2em 0; }"
+].join("\n");
+
+function buildNovelHtml(novel, pages, imageSources) {
+  const body = pages
+    .map((page, index) => `<section id="page-${index + 1}">\n${renderNovelPageHtml(page, imageSources, (target) => `#page-${target}`)}\n</section>`)
+    .join("\n<hr />\n");
+
+  return [
+    "<!DOCTYPE html>",
+    `<html lang="${escapeXml(novel.language)}">`,
+    "<head>",
+    "<meta charset=\"utf-8\" />",
+    `<title>${escapeXml(novel.title)}</title>`,
+    `<style>\n${NOVEL_STYLES}\n</style>`,
+    "</head>",
+    "<body>",
+    renderNovelHeaderHtml(novel, imageSources.cover),
+    "<hr />",
+    body,
+    "</body>",
+    "</html>",
+    ""
+  ].join("\n");
+}
+
+function buildEpubXhtml(novel, title, body) {
+  return [
+    "<?xml version=\"1.0\" encoding=\"utf-8\"?>",
+    "<!DOCTYPE html>",
+    `<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(novel.language)}" lang="${escapeXml(novel.language)}">`,
+    "<head>",
+    `<title>${escapeXml(title)}</title>`,
+    "<link rel=\"stylesheet\" type=\"text/css\" href=\"style.css\" />",
+    "</head>",
+    "<body>",
+    body,
+    "</body>",
+    "</html>",
+    ""
+  ].join("\n");
+}
+
+function buildNovelEpub(novel, pages, images) {
+  const pageFile = (number) => `page-${String(number).padStart(3, "0")}.xhtml`;
+  const imageSources = {};
+  const imageItems = [];
+  let imageIndex = 0;
+  for (const [key, image] of images) {
+    imageIndex += 1;
+    const name = key === "cover" ? `cover.${image.extension}` : `image-${String(imageIndex).padStart(3, "0")}.${image.extension}`;
+    imageSources[key] = `images/${name}`;
+    imageItems.push({ id: key === "cover" ? "cover-image" : `image-${imageIndex}`, name, image });
+  }
+
+  const textFiles = [{ id: "title", name: "title.xhtml", title: novel.title, body: renderNovelHeaderHtml(novel, imageSources.cover) }];
+  pages.forEach((page, index) => {
+    textFiles.push({
+      id: `page-${index + 1}`,
+      name: pageFile(index + 1),
+      title: `${novel.title} (${index + 1})`,
+      body: renderNovelPageHtml(page, imageSources, (target) => pageFile(target))
+    });
+  });
+
+  const tocEntries = [];
+  pages.forEach((page, index) => {
+    for (const block of page) {
+      if (block.type === "chapter" && block.title) {
+        tocEntries.push({ href: pageFile(index + 1), title: block.title });
+      }
+    }
+  });
+  if (!tocEntries.length) {
+    pages.forEach((page, index) => tocEntries.push({ href: pageFile(index + 1), title: String(index + 1) }));
+  }
+
+  const nav = buildEpubXhtml(novel, novel.title, [
+    "<nav epub:type=\"toc\" id=\"toc\">",
+    `<h1>${escapeXml(novel.title)}</h1>`,
+    "<ol>",
+    `<li><a href="title.xhtml">${escapeXml(novel.title)}</a></li>`,
+    ...tocEntries.map((entry) => `<li><a href="${entry.href}">${escapeXml(entry.title)}</a></li>`),
+    "</ol>",
+    "</nav>"
+  ].join("\n"));
+
+  const modified = new Date().toISOString().replace(/\.\d+Z$/, "Z");
+  const opf = [
+    "<?xml version=\"1.0\" encoding=\"utf-8\"?>",
+    `<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escapeXml(novel.language)}">`,
+    " <metadata xmlns:dc=\"http://purl.org/dc/elements/1.1/\">",
+    `  <dc:identifier id="book-id">urn:pixiv:novel:${escapeXml(novel.id)}</dc:identifier>`,
+    `  <dc:title>${escapeXml(novel.title)}</dc:title>`,
+    `  <dc:creator>${escapeXml(novel.author)}</dc:creator>`,
+    `  <dc:language>${escapeXml(novel.language)}</dc:language>`,
+    `  <dc:source>${escapeXml(novel.url)}</dc:source>`,
+    ...(novel.caption ? [`  <dc:description>${escapeXml(novel.caption)}</dc:description>`] : []),
+    ...novel.tags.map((tag) => `  <dc:subject>${escapeXml(tag)}</dc:subject>`),
+    ...(novel.date ? [`  <dc:date>${escapeXml(novel.date)}</dc:date>`] : []),
+    ...(novel.series ? [
+      `  <meta property="belongs-to-collection" id="series">${escapeXml(novel.series.title)}</meta>`,
+      "  <meta refines=\"#series\" property=\"collection-type\">series</meta>",
+      ...(novel.series.chapter ? [`  <meta refines="#series" property="group-position">${novel.series.chapter}</meta>`] : [])
+    ] : []),
+    ...(imageSources.cover ? ["  <meta name=\"cover\" content=\"cover-image\" />"] : []),
+    `  <meta property="dcterms:modified">${modified}</meta>`,
+    " </metadata>",
+    " <manifest>",
+    "  <item id=\"nav\" href=\"nav.xhtml\" media-type=\"application/xhtml+xml\" properties=\"nav\" />",
+    "  <item id=\"style\" href=\"style.css\" media-type=\"text/css\" />",
+    ...textFiles.map((file) => `  <item id="${file.id}" href="${file.name}" media-type="application/xhtml+xml" />`),
+    ...imageItems.map((item) => `  <item id="${item.id}" href="images/${item.name}" media-type="${escapeXml(item.image.contentType)}"${item.id === "cover-image" ? " properties=\"cover-image\"" : ""} />`),
+    " </manifest>",
+    " <spine>",
+    ...textFiles.map((file) => `  <itemref idref="${file.id}" />`),
+    " </spine>",
+    "</package>",
+    ""
+  ].join("\n");
+
+  const container = [
+    "<?xml version=\"1.0\" encoding=\"utf-8\"?>",
+    "<container version=\"1.0\" xmlns=\"urn:oasis:names:tc:opendocument:xmlns:container\">",
+    " <rootfiles>",
+    "  <rootfile full-path=\"OEBPS/content.opf\" media-type=\"application/oebps-package+xml\" />",
+    " </rootfiles>",
+    "</container>",
+    ""
+  ].join("\n");
+
+  return createZipArchive([
+    { name: "mimetype", data: asciiBytes(EPUB_MIMETYPE) },
+    { name: "META-INF/container.xml", data: utf8Bytes(container) },
+    { name: "OEBPS/content.opf", data: utf8Bytes(opf) },
+    { name: "OEBPS/nav.xhtml", data: utf8Bytes(nav) },
+    { name: "OEBPS/style.css", data: utf8Bytes(NOVEL_STYLES) },
+    ...textFiles.map((file) => ({ name: `OEBPS/${file.name}`, data: utf8Bytes(buildEpubXhtml(novel, file.title, file.body)) })),
+    ...imageItems.map((item) => ({ name: `OEBPS/images/${item.name}`, data: item.image.data }))
+  ]);
+}
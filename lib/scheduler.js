@@ -0,0 +1,141 @@
+(() => {
+  if (globalThis.pixivScheduler) {
+    return;
+  }
+
+  const REQUEST_MIN_INTERVAL_MS = 200;
+  const REQUEST_MAX_ATTEMPTS = 5;
+  const REQUEST_BACKOFF_BASE_MS = 1000;
+  const REQUEST_BACKOFF_MAX_MS = 60000;
+  const REQUEST_RETRY_AFTER_MAX_MS = 5 * 60 * 1000;
+  const PIXIV_HOST_PATTERN = /(^|\.)(pixiv\.net|pximg\.net)$/i;
+
+  function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      }, ms);
+
+      if (signal?.aborted) {
+        onAbort();
+      } else {
+        signal?.addEventListener("abort", onAbort, { once: true });
+      }
+    });
+  }
+
+  function isThrottleResponse(response) {
+    const { status } = response;
+    return status === 429 || status >= 500 || (status === 403 && response.headers.has("retry-after"));
+  }
+
+  function parseRetryAfter(value, now = Date.now()) {
+    if (!value) {
+      return 0;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.min(REQUEST_RETRY_AFTER_MAX_MS, Math.max(0, seconds * 1000));
+    }
+
+    const date = Date.parse(value);
+    return Number.isFinite(date) ? Math.min(REQUEST_RETRY_AFTER_MAX_MS, Math.max(0, date - now)) : 0;
+  }
+
+  function getBackoffDelay(attempt) {
+    const ceiling = Math.min(REQUEST_BACKOFF_MAX_MS, REQUEST_BACKOFF_BASE_MS * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+  }
+
+  function getRequestHost(url) {
+    try {
+      return new URL(url).host;
+    } catch (err) {
+      return "";
+    }
+  }
+
+  function getThrottleGroup(host) {
+    return PIXIV_HOST_PATTERN.test(host) ? "pixiv" : host;
+  }
+
+  function createRequestScheduler({ minInterval = REQUEST_MIN_INTERVAL_MS, maxAttempts = REQUEST_MAX_ATTEMPTS, remote = null } = {}) {
+    const hosts = new Map();
+    const groups = new Map();
+
+    function getHostState(host) {
+      if (!hosts.has(host)) {
+        hosts.set(host, { nextSlot: 0, group: getThrottleGroup(host) });
+      }
+      return hosts.get(host);
+    }
+
+    function getReadyAt(state) {
+      return Math.max(state.nextSlot, groups.get(state.group) || 0);
+    }
+
+    async function acquireLocal(url, signal) {
+      const state = getHostState(getRequestHost(url));
+      signal?.throwIfAborted();
+      let readyAt = getReadyAt(state);
+      while (readyAt > Date.now()) {
+        await delay(readyAt - Date.now(), signal);
+        readyAt = getReadyAt(state);
+      }
+      state.nextSlot = Date.now() + minInterval;
+    }
+
+    function holdLocal(url, ms) {
+      const group = getThrottleGroup(getRequestHost(url));
+      groups.set(group, Math.max(groups.get(group) || 0, Date.now() + ms));
+    }
+
+    async function acquire(url, { signal } = {}) {
+      if (remote) {
+        try {
+          await remote.acquire(url);
+          return;
+        } catch (err) {
+          console.warn("Shared request slot unavailable, scheduling locally", err);
+        }
+      }
+      await acquireLocal(url, signal);
+    }
+
+    function hold(url, ms) {
+      holdLocal(url, ms);
+      remote?.hold(url, ms).catch((err) => {
+        console.warn("Failed to share request backoff", err);
+      });
+    }
+
+    async function schedule(url, request, { signal } = {}) {
+      for (let attempt = 0; ; attempt += 1) {
+        await acquire(url, { signal });
+        const response = await request();
+        if (response.ok || !isThrottleResponse(response) || attempt >= maxAttempts - 1) {
+          return response;
+        }
+
+        const retryAfter = parseRetryAfter(response.headers.get("retry-after"));
+        console.warn("Request throttled, backing off", response.status, url);
+        hold(url, retryAfter || getBackoffDelay(attempt));
+      }
+    }
+
+    return { acquire, hold, schedule };
+  }
+
+  globalThis.pixivScheduler = {
+    REQUEST_RETRY_AFTER_MAX_MS,
+    delay,
+    getBackoffDelay,
+    createRequestScheduler
+  };
+})();
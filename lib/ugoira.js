@@ -0,0 +1,429 @@
+const UGOIRA_OUTPUTS = {
+  gif: { contentType: "image/gif", extension: "gif" },
+  apng: { contentType: "image/png", extension: "png" },
+  webp: { contentType: "image/webp", extension: "webp" }
+};
+
+const PNG_SIGNATURE = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function writeUint16LE(value) {
+  return new Uint8Array([value & 0xff, (value >>> 8) & 0xff]);
+}
+
+function writeUint24LE(value) {
+  return new Uint8Array([value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff]);
+}
+
+function writeUint32LE(value) {
+  return new Uint8Array([value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff, (value >>> 24) & 0xff]);
+}
+
+function writeUint32BE(value) {
+  return new Uint8Array([(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff]);
+}
+
+function guessFrameMimeType(name) {
+  return /\.png$/i.test(name) ? "image/png" : "image/jpeg";
+}
+
+function createBox(keys, histogram) {
+  let bestRange = -1;
+  let bestShift = 0;
+  for (const shift of [10, 5, 0]) {
+    let min = 31;
+    let max = 0;
+    for (const key of keys) {
+      const value = (key >> shift) & 31;
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+    if (max - min > bestRange) {
+      bestRange = max - min;
+      bestShift = shift;
+    }
+  }
+
+  let weight = 0;
+  for (const key of keys) {
+    weight += histogram[key];
+  }
+
+  return { keys, range: bestRange, shift: bestShift, weight };
+}
+
+function quantizeFrame(rgba) {
+  const pixelCount = rgba.length >> 2;
+  const histogram = new Uint32Array(32768);
+  const pixelKeys = new Uint16Array(pixelCount);
+
+  for (let i = 0, p = 0; p < pixelCount; i += 4, p += 1) {
+    const key = ((rgba[i] >> 3) << 10) | ((rgba[i + 1] >> 3) << 5) | (rgba[i + 2] >> 3);
+    pixelKeys[p] = key;
+    histogram[key] += 1;
+  }
+
+  const used = [];
+  for (let key = 0; key < histogram.length; key += 1) {
+    if (histogram[key]) {
+      used.push(key);
+    }
+  }
+
+  const boxes = [createBox(used, histogram)];
+  while (boxes.length < 256) {
+    let target = -1;
+    for (let i = 0; i < boxes.length; i += 1) {
+      if (boxes[i].keys.length > 1 && (target < 0 || boxes[i].range > boxes[target].range)) {
+        target = i;
+      }
+    }
+    if (target < 0 || boxes[target].range <= 0) {
+      break;
+    }
+
+    const { keys, shift, weight } = boxes[target];
+    keys.sort((a, b) => ((a >> shift) & 31) - ((b >> shift) & 31));
+
+    let split = keys.length - 1;
+    let running = 0;
+    for (let i = 0; i < keys.length - 1; i += 1) {
+      running += histogram[keys[i]];
+      if (running >= weight / 2) {
+        split = i + 1;
+        break;
+      }
+    }
+
+    boxes.splice(target, 1, createBox(keys.slice(0, split), histogram), createBox(keys.slice(split), histogram));
+  }
+
+  const palette = new Uint8Array(768);
+  const lookup = new Uint8Array(32768);
+  boxes.forEach((box, index) => {
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    for (const key of box.keys) {
+      const count = histogram[key];
+      r += (((key >> 10) & 31) << 3 | 4) * count;
+      g += (((key >> 5) & 31) << 3 | 4) * count;
+      b += ((key & 31) << 3 | 4) * count;
+      lookup[key] = index;
+    }
+    const weight = box.weight || 1;
+    palette[index * 3] = Math.round(r / weight);
+    palette[index * 3 + 1] = Math.round(g / weight);
+    palette[index * 3 + 2] = Math.round(b / weight);
+  });
+
+  const indices = new Uint8Array(pixelCount);
+  for (let p = 0; p < pixelCount; p += 1) {
+    indices[p] = lookup[pixelKeys[p]];
+  }
+
+  return { palette, indices };
+}
+
+function lzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const output = [];
+  const dictionary = new Map();
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const writeCode = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      output.push(bitBuffer & 0xff);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  writeCode(clearCode);
+  let prefix = indices[0];
+
+  for (let i = 1; i < indices.length; i += 1) {
+    const value = indices[i];
+    const key = (prefix << 8) | value;
+    const existing = dictionary.get(key);
+    if (existing !== undefined) {
+      prefix = existing;
+      continue;
+    }
+
+    writeCode(prefix);
+    if (nextCode === 4096) {
+      writeCode(clearCode);
+      dictionary.clear();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) {
+        codeSize += 1;
+      }
+      dictionary.set(key, nextCode);
+      nextCode += 1;
+    }
+    prefix = value;
+  }
+
+  writeCode(prefix);
+  writeCode(endCode);
+  if (bitCount > 0) {
+    output.push(bitBuffer & 0xff);
+  }
+
+  const blocks = [new Uint8Array([minCodeSize])];
+  for (let i = 0; i < output.length; i += 255) {
+    const chunk = output.slice(i, i + 255);
+    blocks.push(new Uint8Array([chunk.length]), Uint8Array.from(chunk));
+  }
+  blocks.push(new Uint8Array([0]));
+  return concatBytes(blocks);
+}
+
+function createGifEncoder(width, height) {
+  const parts = [
+    asciiBytes("GIF89a"),
+    writeUint16LE(width),
+    writeUint16LE(height),
+    new Uint8Array([0x70, 0, 0]),
+    new Uint8Array([0x21, 0xff, 0x0b]),
+    asciiBytes("NETSCAPE2.0"),
+    new Uint8Array([0x03, 0x01, 0x00, 0x00, 0x00])
+  ];
+
+  return {
+    async addFrame(canvas, context, delay) {
+      const { data } = context.getImageData(0, 0, width, height);
+      const { palette, indices } = quantizeFrame(data);
+      const centiseconds = Math.max(1, Math.round(delay / 10));
+      parts.push(
+        new Uint8Array([0x21, 0xf9, 0x04, 0x00]),
+        writeUint16LE(centiseconds),
+        new Uint8Array([0x00, 0x00]),
+        new Uint8Array([0x2c]),
+        writeUint16LE(0),
+        writeUint16LE(0),
+        writeUint16LE(width),
+        writeUint16LE(height),
+        new Uint8Array([0x87]),
+        palette,
+        lzwEncode(indices, 8)
+      );
+    },
+    finish() {
+      parts.push(new Uint8Array([0x3b]));
+      return concatBytes(parts);
+    }
+  };
+}
+
+function pngChunk(type, data) {
+  const typeBytes = asciiBytes(type);
+  const crc = crc32Update(crc32(typeBytes), data);
+  return concatBytes([writeUint32BE(data.length), typeBytes, data, writeUint32BE(crc)]);
+}
+
+function filterPngRows(rgba, width, height) {
+  const stride = width * 4;
+  const filtered = new Uint8Array((stride + 1) * height);
+  for (let y = 0; y < height; y += 1) {
+    const rowStart = y * (stride + 1);
+    const source = y * stride;
+    filtered[rowStart] = 1;
+    for (let x = 0; x < stride; x += 1) {
+      const left = x >= 4 ? rgba[source + x - 4] : 0;
+      filtered[rowStart + 1 + x] = (rgba[source + x] - left) & 0xff;
+    }
+  }
+  return filtered;
+}
+
+function createApngEncoder(width, height, frameCount) {
+  const header = new Uint8Array(13);
+  header.set(writeUint32BE(width), 0);
+  header.set(writeUint32BE(height), 4);
+  header.set([8, 6, 0, 0, 0], 8);
+
+  const parts = [
+    PNG_SIGNATURE,
+    pngChunk("IHDR", header),
+    pngChunk("acTL", concatBytes([writeUint32BE(frameCount), writeUint32BE(0)]))
+  ];
+  let sequence = 0;
+
+  return {
+    async addFrame(canvas, context, delay) {
+      const { data } = context.getImageData(0, 0, width, height);
+      const control = new Uint8Array(26);
+      control.set(writeUint32BE(sequence), 0);
+      control.set(writeUint32BE(width), 4);
+      control.set(writeUint32BE(height), 8);
+      control.set(writeUint32BE(0), 12);
+      control.set(writeUint32BE(0), 16);
+      const delayMs = Math.min(0xffff, delay);
+      control.set([(delayMs >>> 8) & 0xff, delayMs & 0xff, 0x03, 0xe8, 0, 0], 20);
+      parts.push(pngChunk("fcTL", control));
+      sequence += 1;
+
+      const compressed = await deflateZlib(filterPngRows(data, width, height));
+      if (sequence === 1) {
+        parts.push(pngChunk("IDAT", compressed));
+      } else {
+        parts.push(pngChunk("fdAT", concatBytes([writeUint32BE(sequence), compressed])));
+        sequence += 1;
+      }
+    },
+    finish() {
+      parts.push(pngChunk("IEND", new Uint8Array(0)));
+      return concatBytes(parts);
+    }
+  };
+}
+
+function riffChunk(type, data) {
+  const padding = data.length % 2 ? new Uint8Array(1) : new Uint8Array(0);
+  return concatBytes([asciiBytes(type), writeUint32LE(data.length), data, padding]);
+}
+
+function extractWebpImageChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  if (decoder.decode(bytes.subarray(0, 4)) !== "RIFF" || decoder.decode(bytes.subarray(8, 12)) !== "WEBP") {
+    throw new Error("This browser cannot encode WebP images.");
+  }
+
+  const chunks = [];
+  let hasAlpha = false;
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const type = decoder.decode(bytes.subarray(offset, offset + 4));
+    const size = view.getUint32(offset + 4, true);
+    const end = offset + 8 + size + (size % 2);
+    if (type === "ALPH" || type === "VP8 " || type === "VP8L") {
+      chunks.push(bytes.subarray(offset, Math.min(end, bytes.length)));
+      hasAlpha = hasAlpha || type !== "VP8 ";
+    }
+    offset = end;
+  }
+
+  if (!chunks.length) {
+    throw new Error("The encoded WebP frame is empty.");
+  }
+  return { data: concatBytes(chunks), hasAlpha };
+}
+
+function createWebpEncoder(width, height) {
+  const frames = [];
+  let hasAlpha = false;
+
+  return {
+    async addFrame(canvas, context, delay) {
+      const blob = await canvas.convertToBlob({ type: "image/webp", quality: 0.92 });
+      if (blob.type !== "image/webp") {
+        throw new Error("This browser cannot encode WebP images.");
+      }
+
+      const frame = extractWebpImageChunks(new Uint8Array(await blob.arrayBuffer()));
+      hasAlpha = hasAlpha || frame.hasAlpha;
+      frames.push(
+        riffChunk(
+          "ANMF",
+          concatBytes([
+            writeUint24LE(0),
+            writeUint24LE(0),
+            writeUint24LE(width - 1),
+            writeUint24LE(height - 1),
+            writeUint24LE(Math.min(0xffffff, delay)),
+            new Uint8Array([0x02]),
+            frame.data
+          ])
+        )
+      );
+    },
+    finish() {
+      const features = concatBytes([
+        new Uint8Array([0x02 | (hasAlpha ? 0x10 : 0), 0, 0, 0]),
+        writeUint24LE(width - 1),
+        writeUint24LE(height - 1)
+      ]);
+      const body = concatBytes([
+        asciiBytes("WEBP"),
+        riffChunk("VP8X", features),
+        riffChunk("ANIM", new Uint8Array([0, 0, 0, 0, 0, 0])),
+        ...frames
+      ]);
+      return concatBytes([asciiBytes("RIFF"), writeUint32LE(body.length), body]);
+    }
+  };
+}
+
+function createAnimationEncoder(format, width, height, frameCount) {
+  if (format === "gif") {
+    return createGifEncoder(width, height);
+  }
+  if (format === "apng") {
+    return createApngEncoder(width, height, frameCount);
+  }
+  if (format === "webp") {
+    return createWebpEncoder(width, height);
+  }
+  throw new Error(`Unsupported ugoira format: ${format}`);
+}
+
+async function convertUgoira(buffer, frames, format) {
+  const output = UGOIRA_OUTPUTS[format];
+  if (!output) {
+    throw new Error(`Unsupported ugoira format: ${format}`);
+  }
+  if (typeof OffscreenCanvas !== "function" || typeof createImageBitmap !== "function") {
+    throw new Error("This browser cannot decode ugoira frames in the background.");
+  }
+
+  const entries = await readZipEntries(buffer);
+  const frameList = Array.isArray(frames) && frames.length
+    ? frames
+    : Array.from(entries.keys()).sort().map((file) => ({ file, delay: 100 }));
+
+  let canvas = null;
+  let context = null;
+  let encoder = null;
+
+  for (const frame of frameList) {
+    const bytes = entries.get(frame.file);
+    if (!bytes) {
+      throw new Error(`Missing ugoira frame: ${frame.file}`);
+    }
+
+    const bitmap = await createImageBitmap(new Blob([bytes], { type: guessFrameMimeType(frame.file) }));
+    if (!canvas) {
+      canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+      context = canvas.getContext("2d", { willReadFrequently: true });
+      encoder = createAnimationEncoder(format, bitmap.width, bitmap.height, frameList.length);
+    }
+
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    const delay = Math.max(1, Math.round(Number(frame.delay) || 100));
+    await encoder.addFrame(canvas, context, delay);
+  }
+
+  if (!encoder) {
+    throw new Error("The ugoira archive has no frames.");
+  }
+
+  const bytes = encoder.finish();
+  return {
+    arrayBuffer: bytes.buffer,
+    contentType: output.contentType,
+    extension: output.extension
+  };
+}
@@ -0,0 +1,192 @@
+const ZIP_CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const ZIP_LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const ZIP_CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const ZIP_END_SIGNATURE = 0x06054b50;
+
+function crc32Update(crc, bytes) {
+  let value = crc ^ 0xffffffff;
+  for (let i = 0; i < bytes.length; i += 1) {
+    value = ZIP_CRC_TABLE[(value ^ bytes[i]) & 0xff] ^ (value >>> 8);
+  }
+  return (value ^ 0xffffffff) >>> 0;
+}
+
+function crc32(bytes) {
+  return crc32Update(0, bytes);
+}
+
+function concatBytes(parts) {
+  let total = 0;
+  for (const part of parts) {
+    total += part.length;
+  }
+
+  const output = new Uint8Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    output.set(part, offset);
+    offset += part.length;
+  }
+  return output;
+}
+
+function asciiBytes(text) {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i += 1) {
+    bytes[i] = text.charCodeAt(i) & 0xff;
+  }
+  return bytes;
+}
+
+async function pipeBytesThrough(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  const buffer = await new Response(stream).arrayBuffer();
+  return new Uint8Array(buffer);
+}
+
+function inflateRaw(bytes) {
+  if (typeof DecompressionStream !== "function") {
+    return Promise.reject(new Error("This browser cannot decompress ZIP entries."));
+  }
+  return pipeBytesThrough(bytes, new DecompressionStream("deflate-raw"));
+}
+
+function deflateZlib(bytes) {
+  if (typeof CompressionStream !== "function") {
+    return Promise.reject(new Error("This browser cannot compress data."));
+  }
+  return pipeBytesThrough(bytes, new CompressionStream("deflate"));
+}
+
+function findZipEndRecord(view) {
+  const minOffset = Math.max(0, view.byteLength - 0xffff - 22);
+  for (let offset = view.byteLength - 22; offset >= minOffset; offset -= 1) {
+    if (view.getUint32(offset, true) === ZIP_END_SIGNATURE) {
+      return offset;
+    }
+  }
+  return -1;
+}
+
+async function readZipEntries(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const endOffset = findZipEndRecord(view);
+  if (endOffset < 0) {
+    throw new Error("The archive is not a valid ZIP file.");
+  }
+
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  const decoder = new TextDecoder();
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i += 1) {
+    if (view.getUint32(offset, true) !== ZIP_CENTRAL_HEADER_SIGNATURE) {
+      throw new Error("The ZIP central directory is corrupted.");
+    }
+
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (view.getUint32(localOffset, true) !== ZIP_LOCAL_HEADER_SIGNATURE) {
+      throw new Error(`The ZIP entry ${name} is corrupted.`);
+    }
+
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      entries.set(name, data);
+    } else if (method === 8) {
+      entries.set(name, await inflateRaw(data));
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method} for ${name}.`);
+    }
+  }
+
+  return entries;
+}
+
+function toDosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+function createZipArchive(files, modifiedAt = new Date()) {
+  const encoder = new TextEncoder();
+  const stamp = toDosDateTime(modifiedAt);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = file.data instanceof Uint8Array ? file.data : new Uint8Array(file.data);
+    const checksum = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, ZIP_LOCAL_HEADER_SIGNATURE, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true);
+    local.setUint16(8, 0, true);
+    local.setUint16(10, stamp.time, true);
+    local.setUint16(12, stamp.date, true);
+    local.setUint32(14, checksum, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, ZIP_CENTRAL_HEADER_SIGNATURE, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, stamp.time, true);
+    central.setUint16(14, stamp.date, true);
+    central.setUint32(16, checksum, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+
+    localParts.push(new Uint8Array(local.buffer), name, data);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + data.length;
+    if (offset > 0xffffffff) {
+      throw new Error("The archive is too large to be saved as a ZIP file.");
+    }
+  }
+
+  const centralDirectory = concatBytes(centralParts);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, ZIP_END_SIGNATURE, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralDirectory.length, true);
+  end.setUint32(16, offset, true);
+
+  return concatBytes([...localParts, centralDirectory, new Uint8Array(end.buffer)]);
+}
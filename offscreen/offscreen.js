@@ -0,0 +1,40 @@
+const TRANSFER_CACHE_NAME = "pixiv-bulk-transfers";
+const objectUrls = new Set();
+
+async function createObjectUrl(key) {
+  const cache = await caches.open(TRANSFER_CACHE_NAME);
+  const response = await cache.match(key);
+  if (!response) {
+    throw new Error("The staged download is missing.");
+  }
+
+  const url = URL.createObjectURL(await response.blob());
+  objectUrls.add(url);
+  return url;
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || message.target !== "offscreen") {
+    return;
+  }
+
+  if (message.type === "PIXIV_TRANSFER_CREATE_URL") {
+    (async () => {
+      try {
+        const url = await createObjectUrl(message.payload?.key);
+        sendResponse({ success: true, url });
+      } catch (err) {
+        sendResponse({ success: false, error: err?.message || "transfer-error" });
+      }
+    })();
+    return true;
+  }
+
+  if (message.type === "PIXIV_TRANSFER_REVOKE_URL") {
+    const url = message.payload?.url;
+    if (objectUrls.delete(url)) {
+      URL.revokeObjectURL(url);
+    }
+    sendResponse({ success: true });
+  }
+});
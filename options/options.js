@@ -19,12 +19,80 @@ const FALLBACK_MESSAGES = {
   optionsAntiTheftLabel: "Add anti-theft suffix to filenames",
   optionsAntiTheftHint: "Appends _pixiv-only to each saved file.",
   optionsOverlayLabel: "Show on-canvas download button",
-  optionsOverlayHint: "Disable if you prefer using the toolbar icon only.",
+  optionsOverlayHint: "Also adds selection checkboxes to thumbnails on listing pages. Disable if you prefer using the toolbar icon only.",
+  optionsActionPopupLabel: "Open the download dashboard from the toolbar icon",
+  optionsActionPopupHint: "Lists running and recent downloads with per-file progress, errors and pause, resume, cancel and retry controls. The dashboard has its own button to download from the current tab.",
   optionsDownloadTitle: "Download behavior",
   optionsRootFolderLabel: "Root folder name",
   optionsRootFolderHint: "Defaults to \"Pixiv\". Windows-reserved names are sanitized automatically.",
+  optionsTemplateLabel: "Filename template",
+  optionsTemplateHint: "Leave empty to keep the default layout. Tokens: {root} {id} {title} {author} {userId} {page:02} {date:YYYY-MM-DD} {tags:3} {series} {chapter:03} {rank:03} {bookmarks} {ai} {r18} {antitheft} {ext}. If the rendered path is too long or rejected, the default layout is used.",
+  optionsTemplatePreviewLabel: "Preview:",
+  optionsTemplateRejected: "This template produces an invalid or overlong path, so the default layout will be used.",
+  optionsSidecarLabel: "Metadata files",
+  optionsSidecarNone: "Don’t save metadata",
+  optionsSidecarJson: "JSON file (<id>.json)",
+  optionsSidecarBoth: "JSON and readable text (<id>.txt)",
+  optionsSidecarHint: "Saved next to each artwork’s images with the title, artist, tags, caption, dates, series, rating and counts.",
+  optionsEmbedMetadataLabel: "Embed metadata into images",
+  optionsEmbedMetadataHint: "Writes the title, artist, Pixiv URL, tags and caption into JPEG (EXIF/XMP) and PNG (iTXt) files without re-encoding the pixels.",
+  optionsSkipDownloadedLabel: "Skip already downloaded pages",
+  optionsSkipDownloadedHint: "Pages recorded in the download history are not saved again.",
+  optionsHistoryLabel: "Download history",
+  optionsHistoryClear: "Clear history",
+  optionsHistoryCount: (count) => {
+    const value = Array.isArray(count) ? count[0] : count;
+    return `${value ?? 0} pages recorded.`;
+  },
+  optionsHistoryClearConfirm: "Forget every recorded download? Previously saved artworks will be downloaded again.",
+  optionsHistoryCleared: "Download history cleared.",
   optionsRetryLabel: "Retry failed URLs",
   optionsRetryHint: "Makes up to 3 extra attempts using alternate URLs before giving up.",
+  optionsConcurrencyLabel: "Parallel downloads",
+  optionsConcurrencyHint: "How many pages are fetched at the same time (1–6). Requests to the same server are still spaced out slightly to avoid rate limits.",
+  optionsSearchLimitLabel: "Search download limit",
+  optionsSearchLimitHint: "The most works read from a tag or search result page (1–5000). The page’s filters, such as sort order, R-18 mode, type, dates and minimum bookmarks, are applied.",
+  optionsRankingLimitLabel: "Ranking download limit",
+  optionsRankingLimitHint: "How many of the top entries a ranking page download takes (1–500). Files are saved under Ranking/<mode>/<date>/ with the rank in front of each name.",
+  optionsUgoiraLabel: "Ugoira output format",
+  optionsUgoiraZip: "Original ZIP of frames",
+  optionsUgoiraGif: "Animated GIF",
+  optionsUgoiraApng: "Animated PNG (APNG)",
+  optionsUgoiraWebp: "Animated WebP",
+  optionsUgoiraHint: "Animated formats are encoded in the browser using Pixiv’s frame timings. If conversion fails, the original ZIP is saved.",
+  optionsArchiveLabel: "Multi-page artworks",
+  optionsArchiveNone: "Save each page separately",
+  optionsArchiveZip: "Pack into one ZIP (<id>-<title>.zip)",
+  optionsArchiveCbz: "Pack into one CBZ with ComicInfo.xml",
+  optionsArchiveHint: "Archives keep the usual page filenames inside and are saved in the artist’s folder. CBZ files open directly in comic readers.",
+  optionsNovelLabel: "Novel format",
+  optionsNovelTxt: "Plain text (.txt)",
+  optionsNovelHtml: "Web page (.html)",
+  optionsNovelEpub: "E-book (.epub)",
+  optionsNovelHint: "Ruby, chapters and page breaks are converted. HTML and EPUB include the cover and embedded illustrations.",
+  optionsSyncSourceLabel: "Follow sync source",
+  optionsSyncSourceFollowing: "Followed artists feed",
+  optionsSyncSourceWatchlist: "Watchlist only",
+  optionsSyncSourceBoth: "Feed and watchlist",
+  optionsSyncSourceHint: "A sync downloads only works newer than the last synced work of each artist. The first sync of an artist downloads everything the source lists.",
+  optionsSyncWatchlistLabel: "Watchlist",
+  optionsSyncWatchlistHint: "Pixiv user IDs or profile URLs, one per line (up to 200).",
+  optionsSyncIntervalLabel: "Automatic sync",
+  optionsSyncIntervalOff: "Off",
+  optionsSyncInterval1h: "Every hour",
+  optionsSyncInterval3h: "Every 3 hours",
+  optionsSyncInterval6h: "Every 6 hours",
+  optionsSyncInterval12h: "Every 12 hours",
+  optionsSyncInterval24h: "Once a day",
+  optionsSyncIntervalHint: "Runs in an open Pixiv tab, or opens one in the background and closes it afterwards. You need to be logged in to Pixiv.",
+  optionsSyncLabel: "Follow sync",
+  optionsSyncNow: "Sync now",
+  optionsSyncStarted: "Sync started in a Pixiv tab.",
+  optionsSyncNever: "Not synced yet.",
+  optionsSyncStatus: (values) => {
+    const [date, count, artists] = Array.isArray(values) ? values : [values];
+    return `Last sync: ${date ?? ""}, ${count ?? 0} new works queued. ${artists ?? 0} artists tracked.`;
+  },
   optionsCreatorTitle: "Creator spotlight",
   optionsCreatorBlurb: "Hi! I’m Plus(Anachter), the developer behind Pixiv Bulk Downloader. I made this extension because I was too lazy to right click and download 9 images :3 ",
   optionsCreatorSiteDescription: "Portfolio, blog posts, and upcoming tools.",
@@ -78,10 +146,10 @@ const WINDOWS_RESERVED_NAMES = new Set([
   "LPT9"
 ].map((name) => name.toLowerCase()));
 
-function getMessage(key) {
+function getMessage(key, substitutions) {
   try {
     if (browserApi?.i18n?.getMessage) {
-      const localized = browserApi.i18n.getMessage(key);
+      const localized = browserApi.i18n.getMessage(key, substitutions);
       if (localized) {
         return localized;
       }
@@ -91,6 +159,9 @@ function getMessage(key) {
   }
 
   const fallback = FALLBACK_MESSAGES[key];
+  if (typeof fallback === "function") {
+    return fallback(substitutions);
+  }
   if (typeof fallback === "string") {
     return fallback;
   }
@@ -119,6 +190,14 @@ function ensureSafeRootFolder(value) {
   return normalized.slice(0, 60);
 }
 
+function parseWatchlist(value) {
+  const ids = String(value || "")
+    .split(/[\s,]+/)
+    .map((entry) => entry.match(/^(?:.*\/users\/)?(\d+)\/?$/)?.[1])
+    .filter(Boolean);
+  return Array.from(new Set(ids)).slice(0, 200);
+}
+
 const DEFAULT_SETTINGS = {
   language: "en",
   range: "all",
@@ -126,8 +205,22 @@ const DEFAULT_SETTINGS = {
   customRangeEnd: 1,
   antiTheft: true,
   overlay: true,
+  actionPopup: false,
   rootFolder: "Pixiv",
   retryFailed: true,
+  ugoiraFormat: "zip",
+  filenameTemplate: "",
+  skipDownloaded: true,
+  metadataSidecar: "none",
+  embedMetadata: false,
+  concurrency: 2,
+  archiveFormat: "none",
+  novelFormat: "epub",
+  searchLimit: 200,
+  rankingLimit: 50,
+  syncSource: "following",
+  syncWatchlist: [],
+  syncInterval: 0,
   projects: [
     {
       id: "kuronekoai",
@@ -228,6 +321,27 @@ function persistSettings(settings) {
   return storageSet(browserApi?.storage?.local, settings);
 }
 
+function runtimeSendMessage(message) {
+  if (!IS_CHROME) {
+    return browserApi.runtime.sendMessage(message);
+  }
+
+  return new Promise((resolve, reject) => {
+    try {
+      chrome.runtime.sendMessage(message, (response) => {
+        const err = chrome.runtime.lastError;
+        if (err) {
+          reject(new Error(err.message));
+          return;
+        }
+        resolve(response);
+      });
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
 function localizeDocument() {
   document.querySelectorAll("[data-i18n]").forEach((node) => {
     const key = node.dataset.i18n;
@@ -283,9 +397,124 @@ function hydrateForm(settings) {
   document.getElementById("range-select").value = settings.range;
   document.getElementById("anti-theft-checkbox").checked = Boolean(settings.antiTheft);
   document.getElementById("overlay-checkbox").checked = Boolean(settings.overlay);
+  document.getElementById("action-popup-checkbox").checked = Boolean(settings.actionPopup);
   document.getElementById("root-folder-input").value = settings.rootFolder;
+  document.getElementById("filename-template-input").value = settings.filenameTemplate || "";
   document.getElementById("retry-failed-checkbox").checked = Boolean(settings.retryFailed);
+  document.getElementById("search-limit-input").value = settings.searchLimit || DEFAULT_SETTINGS.searchLimit;
+  document.getElementById("ranking-limit-input").value = settings.rankingLimit || DEFAULT_SETTINGS.rankingLimit;
+  document.getElementById("concurrency-select").value = String(settings.concurrency || DEFAULT_SETTINGS.concurrency);
+  document.getElementById("ugoira-format-select").value = settings.ugoiraFormat || DEFAULT_SETTINGS.ugoiraFormat;
+  document.getElementById("archive-format-select").value = settings.archiveFormat || DEFAULT_SETTINGS.archiveFormat;
+  document.getElementById("novel-format-select").value = settings.novelFormat || DEFAULT_SETTINGS.novelFormat;
+  document.getElementById("skip-downloaded-checkbox").checked = settings.skipDownloaded !== false;
+  document.getElementById("metadata-sidecar-select").value = settings.metadataSidecar || DEFAULT_SETTINGS.metadataSidecar;
+  document.getElementById("embed-metadata-checkbox").checked = settings.embedMetadata === true;
+  document.getElementById("sync-source-select").value = settings.syncSource || DEFAULT_SETTINGS.syncSource;
+  document.getElementById("sync-watchlist-input").value = (Array.isArray(settings.syncWatchlist) ? settings.syncWatchlist : []).join("\n");
+  document.getElementById("sync-interval-select").value = String(settings.syncInterval || 0);
   renderProjects(settings.projects || []);
+  updateTemplatePreview();
+}
+
+let templatePreviewTimer = null;
+
+async function updateTemplatePreview() {
+  const preview = document.getElementById("filename-template-preview");
+  const warning = document.getElementById("filename-template-warning");
+
+  try {
+    const response = await runtimeSendMessage({
+      type: "PIXIV_TEMPLATE_PREVIEW",
+      payload: {
+        filenameTemplate: document.getElementById("filename-template-input").value,
+        rootFolder: ensureSafeRootFolder(document.getElementById("root-folder-input").value || DEFAULT_SETTINGS.rootFolder),
+        antiTheft: document.getElementById("anti-theft-checkbox").checked
+      }
+    });
+    if (!response || !response.success) {
+      throw new Error(response?.error || "preview-error");
+    }
+    preview.textContent = response.path || "";
+    warning.hidden = !response.rejected;
+  } catch (err) {
+    console.warn("Filename preview failed", err);
+    preview.textContent = "";
+    warning.hidden = true;
+  }
+}
+
+function scheduleTemplatePreview() {
+  clearTimeout(templatePreviewTimer);
+  templatePreviewTimer = setTimeout(updateTemplatePreview, 150);
+}
+
+async function updateHistoryCount() {
+  const el = document.getElementById("history-count");
+  try {
+    const response = await runtimeSendMessage({ type: "PIXIV_HISTORY_STATS" });
+    el.textContent = response && response.success ? getMessage("optionsHistoryCount", String(response.count)) : "";
+  } catch (err) {
+    console.warn("Download history stats failed", err);
+    el.textContent = "";
+  }
+}
+
+async function clearDownloadHistory() {
+  if (!window.confirm(getMessage("optionsHistoryClearConfirm"))) {
+    return;
+  }
+
+  try {
+    const response = await runtimeSendMessage({ type: "PIXIV_HISTORY_CLEAR" });
+    if (!response || !response.success) {
+      throw new Error(response?.error || "history-error");
+    }
+    showStatus("optionsHistoryCleared", "saved");
+  } catch (err) {
+    console.error("Failed to clear download history", err);
+    showStatus("optionsError", "error");
+  }
+  updateHistoryCount();
+}
+
+async function updateSyncStatus() {
+  const el = document.getElementById("sync-status");
+  try {
+    const response = await runtimeSendMessage({ type: "PIXIV_SYNC_STATE_REQUEST" });
+    if (!response || !response.success) {
+      el.textContent = "";
+      return;
+    }
+    el.textContent = response.lastRunAt
+      ? getMessage("optionsSyncStatus", [
+          new Date(response.lastRunAt).toLocaleString(),
+          String(response.lastQueued),
+          String(response.artistCount)
+        ])
+      : getMessage("optionsSyncNever");
+  } catch (err) {
+    console.warn("Follow sync status failed", err);
+    el.textContent = "";
+  }
+}
+
+async function startSyncNow() {
+  const button = document.getElementById("sync-now-button");
+  button.disabled = true;
+  try {
+    await saveSettings();
+    const response = await runtimeSendMessage({ type: "PIXIV_SYNC_START" });
+    if (!response || !response.success) {
+      throw new Error(response?.error || "sync-error");
+    }
+    showStatus("optionsSyncStarted", "saved");
+  } catch (err) {
+    console.error("Failed to start follow sync", err);
+    showStatus("optionsError", "error");
+  } finally {
+    button.disabled = false;
+  }
 }
 
 function showStatus(messageKey, type = "info") {
@@ -306,10 +535,45 @@ function collectSettingsFromForm() {
   const range = document.getElementById("range-select").value;
   const antiTheft = document.getElementById("anti-theft-checkbox").checked;
   const overlay = document.getElementById("overlay-checkbox").checked;
+  const actionPopup = document.getElementById("action-popup-checkbox").checked;
   const rootFolder = ensureSafeRootFolder(document.getElementById("root-folder-input").value || DEFAULT_SETTINGS.rootFolder);
   const retryFailed = document.getElementById("retry-failed-checkbox").checked;
-
-  return { language, range, antiTheft, overlay, rootFolder, retryFailed };
+  const concurrency = Number(document.getElementById("concurrency-select").value) || DEFAULT_SETTINGS.concurrency;
+  const searchLimit = Math.min(5000, Math.max(1, Math.floor(Number(document.getElementById("search-limit-input").value) || DEFAULT_SETTINGS.searchLimit)));
+  const rankingLimit = Math.min(500, Math.max(1, Math.floor(Number(document.getElementById("ranking-limit-input").value) || DEFAULT_SETTINGS.rankingLimit)));
+  const ugoiraFormat = document.getElementById("ugoira-format-select").value;
+  const archiveFormat = document.getElementById("archive-format-select").value;
+  const novelFormat = document.getElementById("novel-format-select").value;
+  const filenameTemplate = document.getElementById("filename-template-input").value.trim();
+  const skipDownloaded = document.getElementById("skip-downloaded-checkbox").checked;
+  const metadataSidecar = document.getElementById("metadata-sidecar-select").value;
+  const embedMetadata = document.getElementById("embed-metadata-checkbox").checked;
+  const syncSource = document.getElementById("sync-source-select").value;
+  const syncWatchlist = parseWatchlist(document.getElementById("sync-watchlist-input").value);
+  const syncInterval = Number(document.getElementById("sync-interval-select").value) || 0;
+
+  return {
+    language,
+    range,
+    antiTheft,
+    overlay,
+    actionPopup,
+    rootFolder,
+    retryFailed,
+    concurrency,
+    searchLimit,
+    rankingLimit,
+    ugoiraFormat,
+    archiveFormat,
+    novelFormat,
+    filenameTemplate,
+    skipDownloaded,
+    metadataSidecar,
+    embedMetadata,
+    syncSource,
+    syncWatchlist,
+    syncInterval
+  };
 }
 
 async function saveSettings(evt) {
@@ -334,7 +598,13 @@ async function init() {
 
   document.getElementById("settings-form").addEventListener("change", saveSettings);
   document.getElementById("download-form").addEventListener("change", saveSettings);
+  document.getElementById("download-form").addEventListener("input", scheduleTemplatePreview);
+  document.getElementById("settings-form").addEventListener("change", scheduleTemplatePreview);
   document.getElementById("reset-button").addEventListener("click", resetSettings);
+  document.getElementById("history-clear-button").addEventListener("click", clearDownloadHistory);
+  updateHistoryCount();
+  document.getElementById("sync-now-button").addEventListener("click", startSyncNow);
+  updateSyncStatus();
 }
 
 function sendMessageSafe(message) {
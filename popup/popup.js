@@ -0,0 +1,522 @@
+const browserApi = typeof browser !== "undefined" ? browser : chrome;
+const IS_CHROME = typeof browser === "undefined";
+
+const FALLBACK_MESSAGES = {
+  popupTitle: "Pixiv Bulk Downloader",
+  popupHeading: "Downloads",
+  popupDownloadTab: "Download from this tab",
+  popupEmpty: "No downloads yet. Open a Pixiv page and click “Download from this tab”.",
+  popupStatePending: "Queued",
+  popupStateRunning: "Downloading",
+  popupStatePaused: "Paused",
+  popupStateCancelled: "Cancelled",
+  popupStateDone: "Done",
+  popupStateFailed: "Failed",
+  popupStopping: "Stopping after the current files...",
+  popupProgress: (values) => {
+    const [done, total] = Array.isArray(values) ? values : [values];
+    return `${done ?? 0} of ${total ?? 0} files`;
+  },
+  popupPageLabel: (page) => {
+    const value = Array.isArray(page) ? page[0] : page;
+    return `Page ${value ?? ""}`.trim();
+  },
+  popupPause: "Pause",
+  popupResume: "Resume",
+  popupCancel: "Cancel",
+  popupRetry: "Retry",
+  popupRetryAll: "Retry all failed",
+  popupPauseAll: "Pause all",
+  popupResumeAll: "Resume all",
+  popupCancelAll: "Cancel all",
+  popupAttempts: "Tried URLs",
+  popupError: "Something went wrong, please try again.",
+  popupBatchTitle: "Batch download",
+  popupBatchSync: "Follow sync",
+  popupBatchProgress: (values) => {
+    const [done, total] = Array.isArray(values) ? values : [values];
+    return `${done ?? 0} of ${total ?? 0} works queued`;
+  },
+  popupBatchFailed: (count) => {
+    const value = Array.isArray(count) ? count[0] : count;
+    return `${value ?? 0} works could not be read`;
+  }
+};
+
+const DEFAULT_LANGUAGE = "en";
+
+const JOB_STATE_LABELS = {
+  pending: "popupStatePending",
+  running: "popupStateRunning",
+  paused: "popupStatePaused",
+  cancelled: "popupStateCancelled",
+  done: "popupStateDone",
+  failed: "popupStateFailed"
+};
+
+const JOB_ACTIONS = {
+  pending: ["pause", "cancel"],
+  running: ["pause", "cancel"],
+  paused: ["resume", "cancel"],
+  cancelled: ["retry"],
+  failed: ["retry"],
+  done: []
+};
+
+const JOB_ACTION_LABELS = {
+  pause: "popupPause",
+  resume: "popupResume",
+  cancel: "popupCancel",
+  retry: "popupRetry"
+};
+
+const WORK_BATCH_ACTIONS = {
+  running: ["pause", "cancel"],
+  paused: ["resume", "cancel"]
+};
+
+const JOB_STATE_ORDER = ["running", "pending", "paused"];
+
+const BATCH_ACTION_STATES = {
+  PIXIV_BATCH_PAUSE: ["pending", "running"],
+  PIXIV_BATCH_RESUME: ["paused"],
+  PIXIV_BATCH_CANCEL: ["pending", "running", "paused"]
+};
+
+const jobs = new Map();
+const batches = new Map();
+const localeBundles = new Map();
+let interfaceLanguage = DEFAULT_LANGUAGE;
+
+function renderMessage(template, placeholders, substitutions) {
+  if (!substitutions) {
+    return template;
+  }
+
+  const values = Array.isArray(substitutions) ? substitutions : [substitutions];
+  let result = template;
+
+  for (const [name, descriptor] of Object.entries(placeholders || {})) {
+    const match = typeof descriptor?.content === "string" ? descriptor.content.match(/\$(\d+)/) : null;
+    const replacement = match ? values[Number(match[1]) - 1] : undefined;
+    if (replacement !== undefined && replacement !== null) {
+      result = result.replace(new RegExp(`\\$${name.toUpperCase()}\\$`, "g"), String(replacement));
+    }
+  }
+
+  return result;
+}
+
+async function loadLocaleBundle(locale) {
+  if (localeBundles.has(locale)) {
+    return localeBundles.get(locale);
+  }
+
+  try {
+    const response = await fetch(browserApi.runtime.getURL(`_locales/${locale}/messages.json`));
+    if (!response.ok) {
+      throw new Error(`Failed to load locale bundle: ${locale}`);
+    }
+    localeBundles.set(locale, await response.json());
+  } catch (err) {
+    console.warn("Unable to load locale bundle", locale, err);
+    localeBundles.set(locale, null);
+  }
+  return localeBundles.get(locale);
+}
+
+function getMessageFromBundle(locale, key, substitutions) {
+  const entry = localeBundles.get(locale)?.[key];
+  if (!entry || typeof entry.message !== "string") {
+    return null;
+  }
+  return renderMessage(entry.message, entry.placeholders, substitutions) || entry.message;
+}
+
+async function loadInterfaceLanguage() {
+  try {
+    const response = await runtimeSendMessage({ type: "PIXIV_SETTINGS_REQUEST" });
+    const language = response?.settings?.language;
+    if (language && language !== DEFAULT_LANGUAGE && await loadLocaleBundle(language)) {
+      interfaceLanguage = language;
+      document.documentElement.lang = language.replace("_", "-");
+    }
+  } catch (err) {
+    console.warn("Failed to load the interface language", err);
+  }
+}
+
+function getMessage(key, substitutions) {
+  if (interfaceLanguage !== DEFAULT_LANGUAGE) {
+    const override = getMessageFromBundle(interfaceLanguage, key, substitutions);
+    if (override) {
+      return override;
+    }
+  }
+
+  try {
+    if (browserApi?.i18n?.getMessage) {
+      const localized = browserApi.i18n.getMessage(key, substitutions);
+      if (localized) {
+        return localized;
+      }
+    }
+  } catch (err) {
+    console.warn("i18n lookup failed", key, err);
+  }
+
+  const fallback = FALLBACK_MESSAGES[key];
+  if (typeof fallback === "function") {
+    return fallback(substitutions);
+  }
+  if (typeof fallback === "string") {
+    return fallback;
+  }
+  return key;
+}
+
+function runtimeSendMessage(message) {
+  if (!IS_CHROME) {
+    return browserApi.runtime.sendMessage(message);
+  }
+
+  return new Promise((resolve, reject) => {
+    try {
+      chrome.runtime.sendMessage(message, (response) => {
+        const err = chrome.runtime.lastError;
+        if (err) {
+          reject(new Error(err.message));
+          return;
+        }
+        resolve(response);
+      });
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+function localizeDocument() {
+  document.querySelectorAll("[data-i18n]").forEach((node) => {
+    const message = getMessage(node.dataset.i18n);
+    if (message) {
+      node.textContent = message;
+    }
+  });
+}
+
+function showStatus(message) {
+  const el = document.getElementById("status-message");
+  el.textContent = message || "";
+}
+
+function getJobRank(job) {
+  const index = JOB_STATE_ORDER.indexOf(job.state);
+  return index === -1 ? JOB_STATE_ORDER.length : index;
+}
+
+function getSortedJobs() {
+  return Array.from(jobs.values()).sort((a, b) =>
+    getJobRank(a) - getJobRank(b) || (b.updatedAt || 0) - (a.updatedAt || 0)
+  );
+}
+
+function getPageLabel(page) {
+  return getMessage("popupPageLabel", String(page.page + 1));
+}
+
+function renderAttempts(attempts) {
+  const details = document.createElement("details");
+  details.className = "job__attempts";
+  const summary = document.createElement("summary");
+  summary.textContent = getMessage("popupAttempts");
+  const list = document.createElement("ol");
+  for (const attempt of attempts) {
+    const entry = document.createElement("li");
+    entry.textContent = `${attempt.url} (${attempt.error})`;
+    list.appendChild(entry);
+  }
+  details.append(summary, list);
+  return details;
+}
+
+function renderJob(job) {
+  const item = document.createElement("li");
+  item.className = "job";
+  item.dataset.state = job.state;
+  item.dataset.jobId = job.id;
+
+  const header = document.createElement("div");
+  header.className = "job__header";
+  const title = document.createElement("span");
+  title.className = "job__title";
+  title.textContent = [job.illustId, job.title].filter(Boolean).join(" - ");
+  title.title = title.textContent;
+  const state = document.createElement("span");
+  state.className = "job__state";
+  state.textContent = getMessage(JOB_STATE_LABELS[job.state] || "popupStatePending");
+  header.append(title, state);
+  item.appendChild(header);
+
+  if (job.author) {
+    const author = document.createElement("span");
+    author.className = "job__author";
+    author.textContent = job.author;
+    item.appendChild(author);
+  }
+
+  const bar = document.createElement("div");
+  bar.className = "job__bar";
+  for (const page of job.pages) {
+    const segment = document.createElement("span");
+    segment.className = "job__segment";
+    segment.dataset.state = page.state;
+    segment.title = getPageLabel(page);
+    bar.appendChild(segment);
+  }
+  item.appendChild(bar);
+
+  const finished = job.pages.filter((page) => page.state === "done" || page.state === "skipped").length;
+  const progress = document.createElement("span");
+  progress.className = "job__progress";
+  progress.textContent = job.stopRequested
+    ? getMessage("popupStopping")
+    : getMessage("popupProgress", [String(finished), String(job.pages.length)]);
+  item.appendChild(progress);
+
+  const failures = job.pages.filter((page) => page.state === "failed" && page.error);
+  if (failures.length) {
+    const errors = document.createElement("ul");
+    errors.className = "job__errors";
+    for (const page of failures) {
+      const entry = document.createElement("li");
+      entry.textContent = `${getPageLabel(page)}: ${page.error}`;
+      if (page.attempts?.length) {
+        entry.appendChild(renderAttempts(page.attempts));
+      }
+      errors.appendChild(entry);
+    }
+    item.appendChild(errors);
+  }
+
+  const actions = document.createElement("div");
+  actions.className = "job__actions";
+  if (job.stopRequested === "pause") {
+    actions.appendChild(renderActionButton("resume", { jobId: job.id }));
+  } else if (!job.stopRequested) {
+    for (const action of JOB_ACTIONS[job.state] || []) {
+      actions.appendChild(renderActionButton(action, { jobId: job.id }));
+    }
+  }
+  item.appendChild(actions);
+
+  return item;
+}
+
+function renderActionButton(action, dataset) {
+  const button = document.createElement("button");
+  button.type = "button";
+  Object.assign(button.dataset, dataset, { action });
+  button.textContent = getMessage(JOB_ACTION_LABELS[action]);
+  return button;
+}
+
+function renderBatch(batch) {
+  const item = document.createElement("li");
+  item.className = "job";
+  item.dataset.state = batch.state;
+
+  const header = document.createElement("div");
+  header.className = "job__header";
+  const title = document.createElement("span");
+  title.className = "job__title";
+  title.textContent = getMessage(batch.sync ? "popupBatchSync" : "popupBatchTitle");
+  const state = document.createElement("span");
+  state.className = "job__state";
+  state.textContent = getMessage(JOB_STATE_LABELS[batch.state] || "popupStatePending");
+  header.append(title, state);
+  item.appendChild(header);
+
+  const bar = document.createElement("div");
+  bar.className = "job__bar";
+  for (const [segmentState, size] of [["done", batch.next], ["pending", batch.total - batch.next]]) {
+    if (size > 0) {
+      const segment = document.createElement("span");
+      segment.className = "job__segment";
+      segment.dataset.state = segmentState;
+      segment.style.flexGrow = String(size);
+      bar.appendChild(segment);
+    }
+  }
+  item.appendChild(bar);
+
+  const progress = document.createElement("span");
+  progress.className = "job__progress";
+  progress.textContent = getMessage("popupBatchProgress", [String(batch.next), String(batch.total)]);
+  item.appendChild(progress);
+
+  if (batch.failed) {
+    const errors = document.createElement("ul");
+    errors.className = "job__errors";
+    const entry = document.createElement("li");
+    entry.textContent = getMessage("popupBatchFailed", String(batch.failed));
+    errors.appendChild(entry);
+    item.appendChild(errors);
+  }
+
+  const actions = document.createElement("div");
+  actions.className = "job__actions";
+  for (const action of WORK_BATCH_ACTIONS[batch.state] || []) {
+    actions.appendChild(renderActionButton(action, { batchId: batch.id }));
+  }
+  item.appendChild(actions);
+
+  return item;
+}
+
+function renderJobs() {
+  const list = document.getElementById("job-list");
+  const openAttempts = new Set(Array.from(list.querySelectorAll(".job__attempts[open]"), (node) => node.closest(".job").dataset.jobId));
+  list.replaceChildren(...Array.from(batches.values()).map(renderBatch), ...getSortedJobs().map(renderJob));
+  list.querySelectorAll(".job__attempts").forEach((node) => {
+    node.open = openAttempts.has(node.closest(".job").dataset.jobId);
+  });
+  document.getElementById("empty-message").hidden = jobs.size + batches.size > 0;
+  document.getElementById("retry-all-button").hidden = !Array.from(jobs.values()).some((job) => job.state === "failed");
+  const entries = [...jobs.values(), ...batches.values()];
+  document.querySelectorAll("[data-batch-action]").forEach((button) => {
+    button.hidden = !entries.some((entry) => BATCH_ACTION_STATES[button.dataset.batchAction].includes(entry.state));
+  });
+  const batchActions = document.getElementById("batch-actions");
+  batchActions.hidden = !batchActions.querySelector("button:not([hidden])");
+}
+
+async function loadJobs() {
+  try {
+    const response = await runtimeSendMessage({ type: "PIXIV_QUEUE_STATE_REQUEST" });
+    if (!response || !response.success) {
+      throw new Error(response?.error || "queue-error");
+    }
+    jobs.clear();
+    for (const job of response.jobs || []) {
+      jobs.set(job.id, job);
+    }
+    batches.clear();
+    for (const batch of response.batches || []) {
+      batches.set(batch.id, batch);
+    }
+  } catch (err) {
+    console.error("Failed to load the download queue", err);
+    showStatus(getMessage("popupError"));
+  }
+  renderJobs();
+}
+
+async function handleJobAction(evt) {
+  const button = evt.target.closest("button[data-action]");
+  if (!button) {
+    return;
+  }
+
+  button.disabled = true;
+  try {
+    const { batchId, jobId, action } = button.dataset;
+    const response = await runtimeSendMessage(batchId
+      ? { type: "PIXIV_WORK_BATCH_CONTROL", payload: { batchId, action } }
+      : { type: "PIXIV_JOB_CONTROL", payload: { jobId, action } });
+    if (!response || !response.success) {
+      throw new Error(response?.error || "queue-error");
+    }
+    if (batchId) {
+      updateBatch(response.batch);
+    } else {
+      jobs.set(response.job.id, response.job);
+    }
+    showStatus("");
+    renderJobs();
+  } catch (err) {
+    console.error("Download control failed", err);
+    showStatus(err?.message || getMessage("popupError"));
+    button.disabled = false;
+  }
+}
+
+async function retryAllFailed() {
+  const button = document.getElementById("retry-all-button");
+  button.disabled = true;
+  try {
+    const response = await runtimeSendMessage({ type: "PIXIV_QUEUE_RETRY_FAILED" });
+    if (!response || !response.success) {
+      throw new Error(response?.error || "queue-error");
+    }
+    showStatus("");
+    await loadJobs();
+  } catch (err) {
+    console.error("Failed to retry downloads", err);
+    showStatus(err?.message || getMessage("popupError"));
+  } finally {
+    button.disabled = false;
+  }
+}
+
+async function controlAllJobs(evt) {
+  const button = evt.target.closest("button[data-batch-action]");
+  if (!button) {
+    return;
+  }
+
+  button.disabled = true;
+  try {
+    const response = await runtimeSendMessage({ type: button.dataset.batchAction });
+    if (!response || !response.success) {
+      throw new Error(response?.error || "queue-error");
+    }
+    showStatus("");
+    await loadJobs();
+  } catch (err) {
+    console.error("Download control failed", err);
+    showStatus(err?.message || getMessage("popupError"));
+  } finally {
+    button.disabled = false;
+  }
+}
+
+async function downloadFromTab() {
+  try {
+    await runtimeSendMessage({ type: "PIXIV_ACTION_RUN" });
+    window.close();
+  } catch (err) {
+    console.error("Failed to start the download", err);
+    showStatus(getMessage("popupError"));
+  }
+}
+
+function updateBatch(batch) {
+  if (batch.state === "done" || batch.state === "cancelled") {
+    batches.delete(batch.id);
+  } else {
+    batches.set(batch.id, batch);
+  }
+}
+
+browserApi.runtime.onMessage.addListener((message) => {
+  if (message?.type === "PIXIV_QUEUE_PROGRESS" && message.payload?.id) {
+    jobs.set(message.payload.id, message.payload);
+    renderJobs();
+  } else if (message?.type === "PIXIV_WORK_BATCH_PROGRESS" && message.payload?.id) {
+    updateBatch(message.payload);
+    renderJobs();
+  }
+});
+
+async function init() {
+  await loadInterfaceLanguage();
+  localizeDocument();
+  document.getElementById("download-tab-button").addEventListener("click", downloadFromTab);
+  document.getElementById("retry-all-button").addEventListener("click", retryAllFailed);
+  document.getElementById("batch-actions").addEventListener("click", controlAllJobs);
+  document.getElementById("job-list").addEventListener("click", handleJobAction);
+  loadJobs();
+}
+
+init();